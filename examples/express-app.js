@@ -21,7 +21,7 @@ const tracer = createTracer({
   serviceVersion: '1.0.0',
   deploymentEnvironment: process.env.NODE_ENV || 'development',
   dtApiUrl: process.env.DT_API_URL || 'https://your-dynatrace-instance.live.dynatrace.com/api/v2/otlp',
-  dtApiToken: process.env.DT_API_TOKEN || 'your-dynatrace-token',
+  // The API token is read from DT_API_TOKEN, or from the file named by DT_API_TOKEN_FILE
   
   // Custom configuration
   samplingRate: 1.0, // 100% for demo
@@ -39,12 +39,6 @@ app.use(createExpressMiddleware(tracer, {
   ignoreRoutes: ['/health', '/metrics']
 }));
 
-// Add error handling middleware
-app.use(createErrorMiddleware(tracer, {
-  logErrors: true,
-  includeStackTrace: false
-}));
-
 // Create traced HTTP client
 const tracedHttp = httpTracer.createTracedAxios(axios, {
   clientName: 'example-http-client',
@@ -370,6 +364,12 @@ app.post('/complex-operation', async (req, res) => {
   );
 });
 
+// Record route errors on the request span (registered after routes)
+app.use(createErrorMiddleware(tracer, {
+  logErrors: true,
+  includeStackTrace: false
+}));
+
 // Global error handler
 app.use((error, req, res, next) => {
   console.error('Unhandled error:', error);
@@ -0,0 +1,66 @@
+// src/configs/config-file.js - Configuration File Loading (CommonJS)
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Files searched in the working directory when no explicit path is given
+ */
+const CONFIG_FILE_NAMES = ['odn.config.json', '.odnrc'];
+
+/**
+ * Resolve which configuration file to load
+ * Order: explicit configFile option, ODN_CONFIG_FILE, then CONFIG_FILE_NAMES in process.cwd()
+ * @param {string|boolean} configFile - Explicit path, or false to disable file loading
+ * @returns {string|null} Absolute file path, null if none applies
+ */
+function resolveConfigFile(configFile) {
+  if (configFile === false) return null;
+
+  const explicitPath = typeof configFile === 'string' ? configFile : process.env.ODN_CONFIG_FILE;
+  if (explicitPath) {
+    const filePath = path.resolve(explicitPath);
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`Configuration file not found: ${filePath}`);
+    }
+    return filePath;
+  }
+
+  const found = CONFIG_FILE_NAMES
+    .map(name => path.resolve(process.cwd(), name))
+    .find(filePath => fs.existsSync(filePath));
+
+  return found || null;
+}
+
+/**
+ * Load configuration from a JSON file
+ * @param {string|boolean} configFile - Explicit path, or false to disable file loading
+ * @returns {Object} { filePath, config } (filePath null and config empty when no file applies)
+ */
+function loadConfigFile(configFile) {
+  const filePath = resolveConfigFile(configFile);
+  if (!filePath) {
+    return { filePath: null, config: {} };
+  }
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to parse configuration file ${filePath}: ${error.message}`);
+  }
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`Configuration file ${filePath} must contain a JSON object`);
+  }
+
+  return { filePath, config };
+}
+
+// CommonJS exports
+module.exports = {
+  CONFIG_FILE_NAMES,
+  resolveConfigFile,
+  loadConfigFile
+};
@@ -0,0 +1,390 @@
+// src/configs/config-schema.js - Configuration Schema and Validation (CommonJS)
+
+const { LOG_LEVELS } = require('../utils/logger.js');
+
+/**
+ * Instrumentations available through @opentelemetry/auto-instrumentations-node
+ * (package name without the '@opentelemetry/instrumentation-' prefix)
+ */
+const INSTRUMENTATION_NAMES = [
+  'amqplib', 'aws-lambda', 'aws-sdk', 'bunyan', 'cassandra-driver', 'connect', 'cucumber',
+  'dataloader', 'dns', 'express', 'fastify', 'fs', 'generic-pool', 'graphql', 'grpc', 'hapi',
+  'http', 'ioredis', 'kafkajs', 'knex', 'koa', 'lru-memoizer', 'memcached', 'mongodb',
+  'mongoose', 'mysql', 'mysql2', 'nestjs-core', 'net', 'pg', 'pino', 'redis', 'redis-4',
+  'restify', 'router', 'socket.io', 'tedious', 'undici', 'winston'
+];
+
+const positiveNumber = { type: 'number', positive: true };
+const positiveInteger = { type: 'integer', positive: true };
+const ratio = { type: 'number', min: 0, max: 1 };
+const pattern = { type: ['string', 'regexp'] };
+
+/**
+ * Schema for a single instrumentation entry; unknown keys are passed through
+ * to the OpenTelemetry instrumentation as-is
+ * enabled is optional: auto-instrumentations are enabled unless turned off
+ */
+const INSTRUMENTATION_SCHEMA = {
+  type: 'object',
+  properties: {
+    enabled: { type: 'boolean' },
+    ignoreIncomingPaths: { type: 'array', items: pattern },
+    ignoreOutgoingHosts: { type: 'array', items: { type: 'string' } },
+    ignoreLayers: { type: 'array', items: { type: ['string', 'regexp', 'function'] } }
+  },
+  additionalProperties: true
+};
+
+/**
+ * Schema for a built-in resource detector entry
+ */
+const DETECTOR_SCHEMA = {
+  type: 'object',
+  required: ['enabled'],
+  properties: {
+    enabled: { type: 'boolean' }
+  }
+};
+
+/**
+ * Schema for a span destination (exporters entry)
+ */
+const EXPORTER_SCHEMA = {
+  type: 'object',
+  required: ['type'],
+  properties: {
+    type: { type: 'string', enum: ['dynatrace', 'otlp', 'console', 'file'] },
+    name: { type: 'string', minLength: 1 },
+    endpoint: { type: 'string', nullable: true },
+    headers: {
+      type: 'object',
+      additionalProperties: { type: 'string' }
+    },
+    protocol: { type: 'string', enum: ['http/protobuf', 'http/json'] },
+    compression: { type: 'string', enum: ['none', 'gzip'] },
+    path: { type: 'string', minLength: 1 },
+    batch: {
+      type: 'object',
+      properties: {
+        maxExportBatchSize: positiveInteger,
+        maxQueueSize: positiveInteger,
+        scheduledDelayMs: positiveNumber,
+        exportTimeoutMs: positiveNumber
+      }
+    },
+    attributeFilter: {
+      type: 'object',
+      properties: {
+        include: { type: 'array', items: pattern },
+        exclude: { type: 'array', items: pattern }
+      }
+    }
+  }
+};
+
+/**
+ * Full configuration schema
+ */
+const CONFIG_SCHEMA = {
+  type: 'object',
+  properties: {
+    serviceName: { type: 'string' },
+    serviceVersion: { type: 'string' },
+    deploymentEnvironment: { type: 'string', minLength: 1 },
+    enabled: { type: 'boolean' },
+    serviceTemplate: { type: ['string', 'array'], nullable: true, items: { type: 'string' } },
+    configFile: { type: ['string', 'boolean'], nullable: true },
+    watchConfigFile: { type: 'boolean' },
+
+    dtApiUrl: { type: 'string', nullable: true },
+    dtApiToken: { type: 'string', nullable: true },
+    dtApiTokenFile: { type: 'string', nullable: true },
+    dtApiTokenProvider: { type: 'function', nullable: true },
+    tokenRefreshIntervalMs: positiveNumber,
+    tracesEndpoint: { type: 'string', nullable: true },
+    exportHeaders: {
+      type: 'object',
+      additionalProperties: { type: 'string' }
+    },
+    protocol: { type: 'string', enum: ['http/protobuf', 'http/json'] },
+    compression: { type: 'string', enum: ['none', 'gzip'] },
+    exporters: { type: 'array', items: EXPORTER_SCHEMA },
+
+    samplingRate: ratio,
+    samplingRules: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['rate'],
+        properties: {
+          route: pattern,
+          method: { type: 'string' },
+          spanName: pattern,
+          rate: ratio
+        }
+      }
+    },
+    maxExportBatchSize: positiveInteger,
+    maxQueueSize: positiveInteger,
+    exportTimeoutMs: positiveNumber,
+    scheduledDelayMs: positiveNumber,
+    spanLimits: {
+      type: 'object',
+      properties: {
+        attributeValueLengthLimit: { ...positiveInteger, nullable: true },
+        attributeCountLimit: { ...positiveInteger, nullable: true }
+      }
+    },
+
+    tailSampling: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean' },
+        latencyThresholdMs: positiveNumber,
+        maxTraces: positiveInteger,
+        maxSpansPerTrace: positiveInteger,
+        maxTraceAgeMs: positiveNumber,
+        decisionCacheSize: positiveInteger
+      }
+    },
+    metrics: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean' },
+        exportIntervalMs: positiveNumber,
+        exportTimeoutMs: positiveNumber
+      }
+    },
+    logs: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean' },
+        scheduledDelayMs: positiveNumber,
+        exportTimeoutMs: positiveNumber
+      }
+    },
+
+    logLevel: { type: 'string', enum: Object.keys(LOG_LEVELS) },
+    logFormat: { type: 'string', enum: ['pretty', 'json'] },
+    logSink: { type: 'function', nullable: true },
+
+    customAttributes: {
+      type: 'object',
+      additionalProperties: { type: ['string', 'number', 'boolean'] }
+    },
+    resourceDetectors: {
+      type: 'object',
+      properties: {
+        host: DETECTOR_SCHEMA,
+        os: DETECTOR_SCHEMA,
+        process: DETECTOR_SCHEMA,
+        container: {
+          ...DETECTOR_SCHEMA,
+          properties: {
+            ...DETECTOR_SCHEMA.properties,
+            cgroupFile: { type: 'string', nullable: true },
+            mountinfoFile: { type: 'string', nullable: true }
+          }
+        },
+        kubernetes: DETECTOR_SCHEMA,
+        dynatrace: {
+          ...DETECTOR_SCHEMA,
+          properties: {
+            ...DETECTOR_SCHEMA.properties,
+            files: { type: 'array', nullable: true, items: { type: 'string' } }
+          }
+        }
+      },
+      additionalProperties: {
+        type: 'object',
+        required: ['enabled', 'detect'],
+        properties: {
+          enabled: { type: 'boolean' },
+          detect: { type: 'function' }
+        }
+      }
+    },
+    instrumentations: {
+      type: 'object',
+      propertyNames: INSTRUMENTATION_NAMES,
+      additionalProperties: INSTRUMENTATION_SCHEMA
+    },
+    autoInstrumentations: {
+      type: 'array',
+      items: { type: 'string', enum: INSTRUMENTATION_NAMES }
+    },
+    retryConfig: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean' },
+        initialDelayMillis: positiveNumber,
+        maxDelayMillis: positiveNumber,
+        maxAttempts: positiveInteger
+      }
+    },
+    selfMetrics: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean' }
+      }
+    },
+    persistentQueue: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean' },
+        directory: { type: 'string', nullable: true, minLength: 1 },
+        maxSizeBytes: positiveInteger,
+        maxAgeMs: positiveInteger,
+        replayIntervalMs: positiveInteger
+      }
+    }
+  }
+};
+
+/**
+ * Get the schema type name of a value
+ * @param {*} value - Value to inspect
+ * @returns {string} Type name
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (value instanceof RegExp) return 'regexp';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Describe an expected type for error messages
+ * @param {string|Array<string>} type - Schema type(s)
+ * @returns {string} Description (e.g. 'a string or a regexp')
+ */
+function describeType(type) {
+  const types = Array.isArray(type) ? type : [type];
+  return types
+    .map(name => (['array', 'integer', 'object'].includes(name) ? `an ${name}` : `a ${name}`))
+    .join(' or ');
+}
+
+/**
+ * Check a value against a schema type
+ * @param {*} value - Value to check
+ * @param {string|Array<string>} type - Schema type(s)
+ * @returns {boolean} True if the value matches
+ */
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  const types = Array.isArray(type) ? type : [type];
+
+  return types.some(expected => expected === actual || (expected === 'number' && actual === 'integer'));
+}
+
+/**
+ * Join a parent path and an object key
+ * @param {string} path - Parent path
+ * @param {string} key - Property key
+ * @returns {string} Child path
+ */
+function childPath(path, key) {
+  return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Validate a value against a schema node, collecting path-qualified errors
+ * @param {*} value - Value to validate
+ * @param {Object} schema - Schema node
+ * @param {string} path - Path of the value (e.g. 'instrumentations.http')
+ * @param {Array<string>} errors - Collected errors
+ * @param {boolean} partial - Skip required checks on objects that are merged over other settings
+ */
+function validateNode(value, schema, path, errors, partial = false) {
+  if (value === undefined) return;
+  if (value === null) {
+    if (!schema.nullable) errors.push(`${path} must not be null`);
+    return;
+  }
+
+  if (!matchesType(value, schema.type)) {
+    errors.push(`${path} must be ${describeType(schema.type)}`);
+    return;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of: ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) {
+      errors.push(`${path} must be a finite number`);
+    } else if (schema.positive && value <= 0) {
+      errors.push(`${path} must be a positive number`);
+    } else if (schema.min !== undefined && schema.max !== undefined && (value < schema.min || value > schema.max)) {
+      errors.push(`${path} must be between ${schema.min} and ${schema.max}`);
+    }
+  }
+
+  if (typeof value === 'string' && schema.minLength && value.length < schema.minLength) {
+    errors.push(`${path} must not be empty`);
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    // Arrays replace the merged value, so their entries are always complete
+    value.forEach((item, index) => validateNode(item, schema.items, `${path}[${index}]`, errors));
+  }
+
+  if (typeOf(value) === 'object') {
+    if (!partial) {
+      (schema.required || []).forEach(key => {
+        if (value[key] === undefined) errors.push(`${childPath(path, key)} is required`);
+      });
+    }
+
+    Object.entries(value).forEach(([key, item]) => {
+      const keyPath = childPath(path, key);
+
+      if (schema.propertyNames && !schema.propertyNames.includes(key)) {
+        errors.push(`${keyPath} is not a recognized instrumentation`);
+      } else if (schema.properties && schema.properties[key]) {
+        validateNode(item, schema.properties[key], keyPath, errors, partial);
+      } else if (typeof schema.additionalProperties === 'object') {
+        validateNode(item, schema.additionalProperties, keyPath, errors, partial);
+      } else if (schema.additionalProperties !== true) {
+        errors.push(`${keyPath} is not a recognized option`);
+      }
+    });
+  }
+}
+
+/**
+ * Validate a configuration object against CONFIG_SCHEMA
+ * @param {Object} config - Configuration to validate
+ * @param {Object} options - Validation options
+ * @param {boolean} options.partial - Settings merged over other settings (e.g. a service template):
+ *   required options may be set elsewhere, so they are not checked
+ * @returns {Array<string>} Path-qualified error messages
+ */
+function validateSchema(config, { partial = false } = {}) {
+  const errors = [];
+
+  if (typeOf(config) !== 'object') {
+    return ['configuration must be an object'];
+  }
+
+  Object.entries(config).forEach(([key, value]) => {
+    const schema = CONFIG_SCHEMA.properties[key];
+    if (!schema) {
+      errors.push(`${key} is not a recognized option`);
+      return;
+    }
+    validateNode(value, schema, key, errors, partial);
+  });
+
+  return errors;
+}
+
+// CommonJS exports
+module.exports = {
+  CONFIG_SCHEMA,
+  INSTRUMENTATION_NAMES,
+  validateSchema
+};
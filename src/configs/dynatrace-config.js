@@ -1,4 +1,19 @@
-// src/config/dynatrace-config.js - Configuration Management (CommonJS)
+// src/configs/dynatrace-config.js - Configuration Management (CommonJS)
+
+const { createLogger, redact } = require('../utils/logger.js');
+const { isValidApiToken, readApiTokenFile } = require('../utils/api-token.js');
+const { loadConfigFile } = require('./config-file.js');
+const { validateSchema } = require('./config-schema.js');
+const { fromOtelEnvironment } = require('./otel-environment.js');
+const { resolveEndpoints, resolveOtlpBase } = require('./endpoint-resolver.js');
+const { isEqualValue } = require('./runtime-config.js');
+
+const logger = createLogger('config');
+
+/**
+ * Instrumentations controlled by the legacy flat autoInstrumentations array
+ */
+const LEGACY_AUTO_INSTRUMENTATIONS = ['http', 'express', 'mongoose', 'redis'];
 
 /**
  * Default configuration for Dynatrace OpenTelemetry
@@ -10,22 +25,84 @@ const DEFAULT_CONFIG = {
   deploymentEnvironment: 'development',
   enabled: true,
   
+  // Reload the config file on change and apply runtime-updatable keys (see OtelDynatrace.updateConfig)
+  watchConfigFile: false,
+  
   // Dynatrace specific
-  dtApiUrl: null,
+  dtApiUrl: null, // Environment ID, tenant / Managed / ActiveGate URL, or OTLP base URL (see endpoint-resolver.js)
   dtApiToken: null,
+  dtApiTokenFile: null, // Mounted secret, re-read every tokenRefreshIntervalMs
+  dtApiTokenProvider: null, // () => token or Promise<token>, called every tokenRefreshIntervalMs
+  tokenRefreshIntervalMs: 300000,
+  tracesEndpoint: null, // Full traces URL, overrides the traces URL resolved from dtApiUrl
+  exportHeaders: {}, // Extra headers sent by every exporter
+  protocol: 'http/protobuf', // 'http/protobuf' or 'http/json' (the Dynatrace OTLP API only ingests protobuf)
+  compression: 'none', // 'none' or 'gzip'
+  
+  // Span destinations, each with its own batch queue; empty = Dynatrace only, as configured above
+  // Entry: { type: 'dynatrace' | 'otlp' | 'console' | 'file', name, endpoint, headers, protocol,
+  //          compression, path, batch: { maxExportBatchSize, maxQueueSize, scheduledDelayMs, exportTimeoutMs },
+  //          attributeFilter: { include, exclude } }
+  exporters: [],
   
   // Performance tuning
   samplingRate: 1.0, // 100% sampling by default
+  samplingRules: [],
   maxExportBatchSize: 512,
+  maxQueueSize: 2048,
   exportTimeoutMs: 30000,
   scheduledDelayMs: 1000,
   
+  // Span attribute limits (null = unlimited)
+  spanLimits: {
+    attributeValueLengthLimit: null,
+    attributeCountLimit: 128
+  },
+  
+  // Tail sampling: buffer local traces and keep errors and slow traces
+  tailSampling: {
+    enabled: false,
+    latencyThresholdMs: 2000,
+    maxTraces: 1000,
+    maxSpansPerTrace: 500,
+    maxTraceAgeMs: 30000,
+    decisionCacheSize: 10000
+  },
+  
+  // Metrics export (OTLP/HTTP, delta temporality)
+  metrics: {
+    enabled: true,
+    exportIntervalMs: 60000,
+    exportTimeoutMs: 30000
+  },
+  
+  // Logs export (OTLP/HTTP)
+  logs: {
+    enabled: true,
+    scheduledDelayMs: 1000,
+    exportTimeoutMs: 30000
+  },
+  
   // Logging
   logLevel: 'info', // 'debug', 'info', 'warn', 'error', 'silent'
+  logFormat: 'pretty', // 'pretty', 'json'
+  logSink: null,
   
   // Custom attributes
   customAttributes: {},
   
+  // Resource detectors, merged below customAttributes
+  // Custom detectors can be added as { enabled: true, detect: () => attributes }
+  resourceDetectors: {
+    host: { enabled: true },
+    os: { enabled: true },
+    process: { enabled: true },
+    container: { enabled: true },
+    kubernetes: { enabled: true },
+    // Dynatrace OneAgent / Operator metadata files (files: null = default locations)
+    dynatrace: { enabled: true, files: null }
+  },
+  
   // Instrumentation settings
   instrumentations: {
     http: {
@@ -43,6 +120,9 @@ const DEFAULT_CONFIG = {
     redis: {
       enabled: true
     },
+    // Log records are forwarded by logTracer integrations
+    pino: { enabled: true, disableLogSending: true },
+    winston: { enabled: true, disableLogSending: true },
     // Disable noisy instrumentations by default
     dns: { enabled: false },
     net: { enabled: false },
@@ -55,6 +135,21 @@ const DEFAULT_CONFIG = {
     initialDelayMillis: 1000,
     maxDelayMillis: 5000,
     maxAttempts: 3
+  },
+  
+  // Report export pipeline counters (see OtelDynatrace.getStats) as odn.* metrics; requires metrics.enabled
+  selfMetrics: {
+    enabled: false
+  },
+  
+  // Spill batches that could not be exported to disk and replay them in order once the endpoint
+  // is reachable again (limits apply per signal; directory: null = <os.tmpdir()>/odn-queue/<serviceName>)
+  persistentQueue: {
+    enabled: false,
+    directory: null,
+    maxSizeBytes: 104857600,
+    maxAgeMs: 86400000,
+    replayIntervalMs: 5000
   }
 };
 
@@ -141,98 +236,606 @@ const SERVICE_TEMPLATES = {
   }
 };
 
+/**
+ * Normalize a template list ('web-api', ['web-api', 'bff'], undefined) to an array of names
+ * @param {string|Array<string>} names - Template name(s)
+ * @returns {Array<string>} Template names
+ */
+function toTemplateNames(names) {
+  if (names === undefined || names === null) return [];
+  return Array.isArray(names) ? names : [names];
+}
+
+/**
+ * Check whether a template value is merged key by key
+ * @param {*} value - Value to check
+ * @returns {boolean} True for plain objects
+ */
+function isTemplateObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof RegExp);
+}
+
+/**
+ * List the leaf settings of a template as path segments (keys such as 'service.type' may contain dots)
+ * @param {Object} settings - Template settings
+ * @param {Array<string>} prefix - Path segments
+ * @returns {Array<Array<string>>} Setting paths
+ */
+function settingPaths(settings, prefix = []) {
+  return Object.entries(settings).flatMap(([key, value]) => (
+    isTemplateObject(value) && Object.keys(value).length > 0 ? settingPaths(value, [...prefix, key]) : [[...prefix, key]]
+  ));
+}
+
+/**
+ * List the settings both templates define with different values
+ * @param {Object} earlier - Settings merged so far
+ * @param {Object} later - Settings of the next template
+ * @param {Array<string>} prefix - Path segments
+ * @returns {Array<Array<string>>} Conflicting paths
+ */
+function findTemplateConflicts(earlier, later, prefix = []) {
+  return Object.keys(later)
+    .filter(key => earlier[key] !== undefined && later[key] !== undefined)
+    .flatMap(key => {
+      if (isTemplateObject(earlier[key]) && isTemplateObject(later[key])) {
+        return findTemplateConflicts(earlier[key], later[key], [...prefix, key]);
+      }
+      return isEqualValue(earlier[key], later[key]) ? [] : [[...prefix, key]];
+    });
+}
+
+/**
+ * Merge templates in order, recording settings that a later template sets to a different value
+ * @param {Array<Object>} templates - Resolved templates ({ name, settings })
+ * @returns {Object} { settings, conflicts } where conflicts are { path, templates: [earlier, later] }
+ */
+function mergeTemplates(templates) {
+  const owners = new Map();
+  const conflicts = [];
+  const isWithin = (path, other) => path.length <= other.length && path.every((key, index) => key === other[index]);
+  
+  const settings = templates.reduce((merged, { name, settings: templateSettings }) => {
+    findTemplateConflicts(merged, templateSettings).forEach(path => {
+      const owner = Array.from(owners.values()).reverse()
+        .find(({ path: ownedPath }) => isWithin(path, ownedPath) || isWithin(ownedPath, path));
+      conflicts.push({ path: path.join('.'), templates: [owner ? owner.name : null, name] });
+    });
+    
+    settingPaths(templateSettings).forEach(path => owners.set(JSON.stringify(path), { path, name }));
+    return deepMerge(merged, templateSettings);
+  }, {});
+  
+  return { settings, conflicts };
+}
+
+/**
+ * Resolve a template with the templates it extends (parents first, the template's own settings win)
+ * @param {string} name - Template name
+ * @param {Array<string>} lineage - Templates being resolved (cycle detection)
+ * @returns {Object} { settings, chain, conflicts }
+ */
+function resolveServiceTemplate(name, lineage = []) {
+  if (lineage.includes(name)) {
+    throw new Error(`Service template cycle: ${[...lineage, name].join(' -> ')}`);
+  }
+  if (!SERVICE_TEMPLATES[name]) {
+    throw new Error(`Unknown service template: ${name}`);
+  }
+  
+  const { extends: parents, ...ownSettings } = SERVICE_TEMPLATES[name];
+  const resolvedParents = toTemplateNames(parents).map(parent => ({
+    name: parent,
+    ...resolveServiceTemplate(parent, [...lineage, name])
+  }));
+  
+  // Only sibling parents can conflict; settings the extending template sets itself settle the conflict
+  const { settings, conflicts } = mergeTemplates(resolvedParents);
+  const ownPaths = settingPaths(ownSettings).map(path => path.join('.'));
+  const unsettled = conflicts.filter(conflict => !ownPaths.some(path => conflict.path === path || conflict.path.startsWith(`${path}.`)));
+  
+  return {
+    settings: deepMerge(settings, ownSettings),
+    chain: [...new Set([...resolvedParents.flatMap(parent => parent.chain), name])],
+    conflicts: [...resolvedParents.flatMap(parent => parent.conflicts), ...unsettled]
+  };
+}
+
+/**
+ * Register (or replace) a service template usable as serviceTemplate
+ * @param {string} name - Template name (e.g. 'bff')
+ * @param {Object} template - Configuration settings, optionally with extends: 'web-api' or ['web-api', ...]
+ * @returns {Object} Fully resolved description (see describeTemplate)
+ */
+function registerServiceTemplate(name, template) {
+  if (typeof name !== 'string' || !name) {
+    throw new Error('Service template name must be a non-empty string');
+  }
+  if (!template || typeof template !== 'object' || Array.isArray(template)) {
+    throw new Error(`Service template ${name} must be an object`);
+  }
+  
+  const { extends: parents, ...settings } = template;
+  if (parents !== undefined && typeof parents !== 'string'
+    && !(Array.isArray(parents) && parents.every(parent => typeof parent === 'string'))) {
+    throw new Error(`Service template ${name}: extends must be a template name or an array of template names`);
+  }
+  
+  // Templates are merged over the defaults and other templates, so they may set a single nested option
+  const errors = validateSchema(settings, { partial: true });
+  if (errors.length > 0) {
+    throw new Error(`Invalid service template ${name}: ${errors.join(', ')}`);
+  }
+  
+  const unknownParents = toTemplateNames(parents).filter(parent => !SERVICE_TEMPLATES[parent]);
+  if (unknownParents.length > 0) {
+    throw new Error(`Service template ${name} extends unknown template(s): ${unknownParents.join(', ')}`);
+  }
+  
+  const previous = SERVICE_TEMPLATES[name];
+  if (previous) {
+    logger.warn('Replacing service template', { serviceTemplate: name });
+  }
+  
+  SERVICE_TEMPLATES[name] = template;
+  try {
+    const description = describeTemplate(name);
+    description.conflicts.forEach(conflict => logger.warn('Service template conflict', conflict));
+    return description;
+  } catch (error) {
+    // Replacing a template must not leave a cycle behind
+    if (previous) {
+      SERVICE_TEMPLATES[name] = previous;
+    } else {
+      delete SERVICE_TEMPLATES[name];
+    }
+    throw error;
+  }
+}
+
+/**
+ * Describe a template or an ordered list of templates with their fully resolved settings
+ * @param {string|Array<string>} name - Template name(s), applied in order
+ * @returns {Object} { name, chain, settings, conflicts } where chain lists the templates applied, in order
+ */
+function describeTemplate(name) {
+  const names = toTemplateNames(name);
+  const resolved = names.map(templateName => ({ name: templateName, ...resolveServiceTemplate(templateName) }));
+  const { settings, conflicts } = mergeTemplates(resolved);
+  
+  return {
+    name,
+    chain: [...new Set(resolved.flatMap(template => template.chain))],
+    settings,
+    conflicts: [...resolved.flatMap(template => template.conflicts), ...conflicts]
+  };
+}
+
+/**
+ * Record the source of every setting a configuration layer defines
+ * A layer replacing an object or setting inside a replaced value drops the stale entries
+ * @param {Object} sources - Sources by setting path (updated in place)
+ * @param {Object} layer - Settings of the layer
+ * @param {string|Function} source - Source label, or (path) => label
+ * @returns {Object} The same sources
+ */
+function recordSources(sources, layer, source) {
+  settingPaths(layer)
+    .filter(segments => segments.reduce((value, key) => value?.[key], layer) !== undefined)
+    .forEach(segments => {
+      const path = segments.join('.');
+      Object.keys(sources)
+        .filter(existing => existing.startsWith(`${path}.`) || path.startsWith(`${existing}.`))
+        .forEach(existing => { delete sources[existing]; });
+      sources[path] = typeof source === 'function' ? source(path) : source;
+    });
+  return sources;
+}
+
+/**
+ * Get configuration summary for logging
+ * @param {Object} config - Configuration object
+ * @param {Object} options - Summary options
+ * @param {boolean} options.withSources - Include where each setting came from
+ * @param {Object} options.sources - Sources by setting path (see DynatraceConfig#sources)
+ * @returns {Object} Configuration summary
+ */
+function getConfigSummary(config, options = {}) {
+  const { withSources = false, sources = {} } = options;
+  const endpoints = resolveEndpoints(config);
+  
+  return {
+    serviceName: config.serviceName,
+    serviceVersion: config.serviceVersion,
+    environment: config.deploymentEnvironment,
+    enabled: config.enabled,
+    samplingRate: config.samplingRate,
+    samplingRules: (config.samplingRules || []).length,
+    tailSampling: config.tailSampling && config.tailSampling.enabled ? 'enabled' : 'disabled',
+    metrics: config.metrics && config.metrics.enabled ? 'enabled' : 'disabled',
+    logs: config.logs && config.logs.enabled ? 'enabled' : 'disabled',
+    logLevel: config.logLevel,
+    serviceTemplate: config.serviceTemplate || null,
+    configFile: config.configFile || null,
+    dtApiUrl: config.dtApiUrl ? 'configured' : 'missing',
+    endpoints: {
+      type: endpoints.type,
+      traces: endpoints.traces,
+      metrics: config.metrics && config.metrics.enabled ? endpoints.metrics : 'disabled',
+      logs: config.logs && config.logs.enabled ? endpoints.logs : 'disabled'
+    },
+    protocol: config.protocol,
+    compression: config.compression,
+    exporters: (config.exporters || []).map(destination => `${destination.name || destination.type} (${destination.type})`),
+    dtApiToken: config.dtApiToken || config.dtApiTokenProvider ? 'configured' : 'missing',
+    instrumentations: Object.keys(config.instrumentations).filter(
+      key => config.instrumentations[key].enabled !== false
+    ),
+    ...(withSources && {
+      sources: Object.fromEntries(Object.entries(sources).filter(([, source]) => source))
+    })
+  };
+}
+
+/**
+ * Copy of the configuration safe to hand out or log: the API token and secret export headers are redacted
+ * @param {Object} config - Configuration
+ * @returns {Object} Redacted copy
+ */
+function redactConfigSecrets(config) {
+  return {
+    ...config,
+    ...(config.dtApiToken && { dtApiToken: '[REDACTED]' }),
+    ...(config.exportHeaders && { exportHeaders: redact(config.exportHeaders) }),
+    ...(Array.isArray(config.exporters) && {
+      exporters: config.exporters.map(destination => (destination && destination.headers
+        ? { ...destination, headers: redact(destination.headers) }
+        : destination))
+    })
+  };
+}
+
+/**
+ * Validate configuration against CONFIG_SCHEMA plus cross-field rules
+ * Errors are path-qualified, e.g. 'instrumentations.http.ignoreIncomingPaths[2] must be a string'
+ * @param {Object} config - Merged configuration
+ * @returns {Object} Validation result with errors and warnings
+ */
+function validateConfig(config) {
+  const errors = validateSchema(config);
+  const warnings = [];
+  
+  // Required fields (a local collector may only need tracesEndpoint, and the token may come as a header)
+  const { metrics, logs } = config;
+  if (!config.dtApiUrl) {
+    if (!config.tracesEndpoint) {
+      errors.push('dtApiUrl is required');
+    } else if ((metrics && metrics.enabled) || (logs && logs.enabled)) {
+      errors.push('dtApiUrl is required when metrics or logs are enabled');
+    }
+  }
+  
+  // A plain OTLP endpoint (e.g. a local collector) may run without a token
+  const endpoints = resolveEndpoints(config);
+  const hasAuthorizationHeader = Object.keys(config.exportHeaders || {})
+    .some(name => name.toLowerCase() === 'authorization');
+  if (endpoints.requiresToken && !config.dtApiToken && !config.dtApiTokenProvider && !hasAuthorizationHeader) {
+    errors.push('dtApiToken is required');
+  }
+  
+  // Other token formats may still be accepted by the endpoint, so only warn
+  // Never include the token itself in the message
+  if (config.dtApiToken && !isValidApiToken(config.dtApiToken)) {
+    warnings.push(`${config.dtApiTokenFile ? 'dtApiTokenFile' : 'dtApiToken'} does not contain a Dynatrace API token in the dt0c01.<public>.<secret> format`);
+  }
+  
+  if (!config.serviceName) {
+    errors.push('serviceName is required');
+  }
+  
+  // URL validation
+  if (typeof config.dtApiUrl === 'string' && config.dtApiUrl && !endpoints.base) {
+    errors.push('dtApiUrl must be a Dynatrace environment ID or an http(s) URL');
+  }
+  
+  // JSON is only an option for other OTLP receivers (e.g. a local collector)
+  if (config.protocol === 'http/json' && endpoints.requiresToken) {
+    errors.push('protocol must be http/protobuf for Dynatrace endpoints (the OTLP API does not accept http/json)');
+  }
+  
+  if (typeof config.tracesEndpoint === 'string' && config.tracesEndpoint) {
+    try {
+      new URL(config.tracesEndpoint);
+    } catch (e) {
+      errors.push('tracesEndpoint must be a valid URL');
+    }
+  }
+  
+  // Sampling rules need something to match on
+  if (Array.isArray(config.samplingRules)) {
+    config.samplingRules.forEach((rule, index) => {
+      if (rule && typeof rule === 'object' && rule.route === undefined && rule.spanName === undefined) {
+        errors.push(`samplingRules[${index}] must define route or spanName`);
+      }
+    });
+  }
+  
+  // Span destinations: names label logs and stats, so they must be unique
+  if (Array.isArray(config.exporters)) {
+    const names = new Set();
+    config.exporters.forEach((destination, index) => {
+      if (!destination || typeof destination !== 'object') return;
+      
+      const name = destination.name || destination.type;
+      if (names.has(name)) {
+        errors.push(`exporters[${index}].name must be unique (set name when using several exporters of one type)`);
+      }
+      names.add(name);
+      
+      if (destination.type === 'otlp' && !destination.endpoint) {
+        errors.push(`exporters[${index}].endpoint is required for otlp exporters`);
+      }
+      if (destination.type === 'file' && !destination.path) {
+        errors.push(`exporters[${index}].path is required for file exporters`);
+      }
+      if (typeof destination.endpoint === 'string' && destination.endpoint && !resolveOtlpBase(destination.endpoint)) {
+        errors.push(`exporters[${index}].endpoint must be a Dynatrace environment ID or an http(s) URL`);
+      }
+      if (destination.type === 'dynatrace' && (destination.protocol || config.protocol) === 'http/json') {
+        errors.push(`exporters[${index}].protocol must be http/protobuf for Dynatrace endpoints`);
+      }
+    });
+  }
+  
+  if (config.selfMetrics && config.selfMetrics.enabled && !(metrics && metrics.enabled)) {
+    warnings.push('selfMetrics requires metrics.enabled, pipeline counters are only available through getStats()');
+  }
+  
+  // Metrics export must finish within one interval
+  if (metrics && typeof metrics.exportTimeoutMs === 'number' && metrics.exportTimeoutMs > metrics.exportIntervalMs) {
+    errors.push('metrics.exportTimeoutMs must not exceed metrics.exportIntervalMs');
+  }
+  
+  // Performance warnings
+  if (config.samplingRate === 1.0 && config.deploymentEnvironment === 'production') {
+    warnings.push('100% sampling rate in production may impact performance');
+  }
+  
+  if (config.maxExportBatchSize > 2048) {
+    warnings.push('Large batch size may cause memory issues');
+  }
+  
+  if (config.maxExportBatchSize > config.maxQueueSize) {
+    warnings.push('maxExportBatchSize exceeds maxQueueSize, batches are capped at maxQueueSize');
+  }
+  
+  return {
+    isValid: errors.length === 0,
+    errors,
+    warnings
+  };
+}
+
+/**
+ * Validate configuration, throwing on errors and logging warnings
+ * @param {Object} config - Merged configuration
+ * @returns {Object} The same configuration
+ */
+function assertValidConfig(config) {
+  const validation = validateConfig(config);
+  
+  if (!validation.isValid) {
+    throw new Error(`Configuration validation failed: ${validation.errors.join(', ')}`);
+  }
+  
+  if (validation.warnings.length > 0) {
+    logger.warn('Configuration warnings', { warnings: validation.warnings });
+  }
+  
+  return config;
+}
+
+/**
+ * Deep merge two objects (arrays, RegExps and functions are replaced, not merged)
+ * @param {Object} target - Target object
+ * @param {Object} source - Source object
+ * @returns {Object} Merged object
+ */
+function deepMerge(target, source) {
+  const result = { ...target };
+  
+  for (const key in source) {
+    if (source[key] && typeof source[key] === 'object' && !Array.isArray(source[key]) && !(source[key] instanceof RegExp)) {
+      result[key] = deepMerge(result[key] || {}, source[key]);
+    } else {
+      result[key] = source[key];
+    }
+  }
+  
+  return result;
+}
+
 /**
  * Dynatrace configuration class
  */
 class DynatraceConfig {
   constructor(userConfig = {}) {
+    // Kept so the configuration can be merged again when the config file changes
+    this.userConfig = userConfig;
+    // Where each setting came from, by path: 'default', 'preset:<environment>', 'template:<name>',
+    // 'file:<path>', 'user' or 'env:<VARIABLE>'
+    this.sources = {};
     this.config = this._mergeConfigurations(userConfig);
   }
   
   /**
-   * Merge user configuration with defaults and presets
+   * Merge user configuration with defaults, presets, templates, the config file and the environment
+   * Precedence (lowest to highest):
+   *   1. DEFAULT_CONFIG
+   *   2. ENVIRONMENT_PRESETS[deploymentEnvironment]
+   *   3. SERVICE_TEMPLATES[serviceTemplate] (one name or several, applied in order)
+   *   4. Config file (configFile option, ODN_CONFIG_FILE, ./odn.config.json or ./.odnrc)
+   *   5. User configuration passed in code
+   *   6. Environment variables
    * @param {Object} userConfig - User provided configuration
    * @returns {Object} Merged configuration
    */
   _mergeConfigurations(userConfig) {
     let config = { ...DEFAULT_CONFIG };
+    const sources = recordSources(this.sources, DEFAULT_CONFIG, 'default');
     
-    // Apply environment preset if specified
-    if (userConfig.deploymentEnvironment && ENVIRONMENT_PRESETS[userConfig.deploymentEnvironment]) {
-      config = this._deepMerge(config, ENVIRONMENT_PRESETS[userConfig.deploymentEnvironment]);
+    // The config file sits just below the user configuration and may also pick the preset and template
+    const { filePath, config: fileConfig } = loadConfigFile(userConfig.configFile);
+    const inputConfig = this._deepMerge(fileConfig, userConfig);
+    const fileSource = `file:${filePath}`;
+    const inputSource = (path) => (path.split('.')[0] in userConfig ? 'user' : fileSource);
+    
+    // The deployment environment is resolved once: configured value, then NODE_ENV, then the default.
+    // It also selects the preset, so the environment layer below does not change it again
+    const environment = inputConfig.deploymentEnvironment || process.env.NODE_ENV || DEFAULT_CONFIG.deploymentEnvironment;
+    if (ENVIRONMENT_PRESETS[environment]) {
+      config = this._deepMerge(config, ENVIRONMENT_PRESETS[environment]);
+      recordSources(sources, ENVIRONMENT_PRESETS[environment], `preset:${environment}`);
     }
     
-    // Apply service template if specified
-    if (userConfig.serviceTemplate && SERVICE_TEMPLATES[userConfig.serviceTemplate]) {
-      config = this._deepMerge(config, SERVICE_TEMPLATES[userConfig.serviceTemplate]);
+    // Apply service templates in order (later templates win, conflicting settings are reported)
+    const templateNames = toTemplateNames(inputConfig.serviceTemplate).filter(name => {
+      if (SERVICE_TEMPLATES[name]) return true;
+      logger.warn('Unknown service template', { serviceTemplate: name });
+      return false;
+    });
+    if (templateNames.length > 0) {
+      const { settings, conflicts } = describeTemplate(templateNames);
+      conflicts.forEach(conflict => logger.warn('Service template conflict', conflict));
+      config = this._deepMerge(config, settings);
+      templateNames.forEach(name => recordSources(sources, resolveServiceTemplate(name).settings, `template:${name}`));
     }
     
-    // Apply user configuration
-    config = this._deepMerge(config, userConfig);
+    // Apply file and user configuration (invalid autoInstrumentations are left for validate() to report)
+    const { autoInstrumentations, ...restInputConfig } = inputConfig;
+    if (Array.isArray(autoInstrumentations)) {
+      const instrumentations = this._fromAutoInstrumentations(autoInstrumentations);
+      config = this._deepMerge(config, { instrumentations });
+      recordSources(sources, { instrumentations }, inputSource('autoInstrumentations'));
+    } else if (autoInstrumentations !== undefined) {
+      config.autoInstrumentations = autoInstrumentations;
+    }
+    config = this._deepMerge(config, restInputConfig);
+    const { autoInstrumentations: fileAutoInstrumentations, ...fileSettings } = fileConfig;
+    const { autoInstrumentations: userAutoInstrumentations, ...userSettings } = userConfig;
+    recordSources(sources, fileSettings, fileSource);
+    recordSources(sources, userSettings, 'user');
+    
+    config.deploymentEnvironment = environment;
+    if (!inputConfig.deploymentEnvironment && process.env.NODE_ENV) {
+      sources.deploymentEnvironment = 'env:NODE_ENV';
+    }
+    
+    if (filePath) {
+      config.configFile = filePath;
+      if (typeof userConfig.configFile !== 'string') {
+        sources.configFile = process.env.ODN_CONFIG_FILE ? 'env:ODN_CONFIG_FILE' : 'default';
+      }
+      logger.debug('Loaded configuration file', { configFile: filePath });
+    }
     
     // Load from environment variables if not provided
-    config = this._loadFromEnvironment(config);
+    config = this._loadFromEnvironment(config, sources);
+    
+    // A token file wins over a plain dtApiToken
+    if (config.dtApiTokenFile) {
+      config.dtApiToken = readApiTokenFile(config.dtApiTokenFile);
+      sources.dtApiToken = sources.dtApiTokenFile;
+    }
     
     return config;
   }
   
+  /**
+   * Translate the legacy flat autoInstrumentations array into instrumentations settings
+   * @param {Array<string>} autoInstrumentations - Enabled instrumentation names (e.g. ['http', 'express'])
+   * @returns {Object} Instrumentations settings
+   */
+  _fromAutoInstrumentations(autoInstrumentations) {
+    const names = new Set([...LEGACY_AUTO_INSTRUMENTATIONS, ...autoInstrumentations]);
+    
+    return Array.from(names).reduce((instrumentations, name) => {
+      instrumentations[name] = { enabled: autoInstrumentations.includes(name) };
+      return instrumentations;
+    }, {});
+  }
+  
   /**
    * Load configuration from environment variables
+   * The standard OTEL_* variables (see otel-environment.js) are applied first, so the
+   * ODN-specific variables below win when both are set (e.g. SERVICE_NAME over OTEL_SERVICE_NAME,
+   * DT_API_URL over OTEL_EXPORTER_OTLP_ENDPOINT, OTEL_SAMPLING_RATE over OTEL_TRACES_SAMPLER_ARG,
+   * OTEL_ENABLED over OTEL_SDK_DISABLED, OTEL_ATTR_* over OTEL_RESOURCE_ATTRIBUTES)
+   * NODE_ENV is not applied here: it only selects deploymentEnvironment when none is configured
    * @param {Object} config - Current configuration
+   * @param {Object} sources - Sources by setting path, updated with 'env:<VARIABLE>'
    * @returns {Object} Configuration with environment variables
    */
-  _loadFromEnvironment(config) {
-    const envConfig = { ...config };
+  _loadFromEnvironment(config, sources = {}) {
+    const otelVariables = {};
+    const otelConfig = fromOtelEnvironment(process.env, otelVariables);
+    
+    const envConfig = {};
+    const variables = {};
+    const setFromEnv = (variable, path, value) => {
+      const [key, attribute] = path.split(/\.(.+)/);
+      if (attribute) {
+        envConfig[key] = { ...envConfig[key], [attribute]: value };
+      } else {
+        envConfig[key] = value;
+      }
+      variables[path] = variable;
+    };
     
     // Service information
     if (process.env.SERVICE_NAME) {
-      envConfig.serviceName = process.env.SERVICE_NAME;
+      setFromEnv('SERVICE_NAME', 'serviceName', process.env.SERVICE_NAME);
     }
     
     if (process.env.SERVICE_VERSION) {
-      envConfig.serviceVersion = process.env.SERVICE_VERSION;
-    }
-    
-    if (process.env.NODE_ENV) {
-      envConfig.deploymentEnvironment = process.env.NODE_ENV;
+      setFromEnv('SERVICE_VERSION', 'serviceVersion', process.env.SERVICE_VERSION);
     }
     
     // Dynatrace configuration
     if (process.env.DT_API_URL) {
-      envConfig.dtApiUrl = process.env.DT_API_URL;
+      setFromEnv('DT_API_URL', 'dtApiUrl', process.env.DT_API_URL);
     }
     
     if (process.env.DT_API_TOKEN) {
-      envConfig.dtApiToken = process.env.DT_API_TOKEN;
+      setFromEnv('DT_API_TOKEN', 'dtApiToken', process.env.DT_API_TOKEN);
+    }
+    
+    if (process.env.DT_API_TOKEN_FILE) {
+      setFromEnv('DT_API_TOKEN_FILE', 'dtApiTokenFile', process.env.DT_API_TOKEN_FILE);
     }
     
     // OpenTelemetry settings
     if (process.env.OTEL_ENABLED !== undefined) {
-      envConfig.enabled = process.env.OTEL_ENABLED === 'true';
+      setFromEnv('OTEL_ENABLED', 'enabled', process.env.OTEL_ENABLED === 'true');
     }
     
     if (process.env.OTEL_SAMPLING_RATE) {
-      envConfig.samplingRate = parseFloat(process.env.OTEL_SAMPLING_RATE);
-    }
-    
-    if (process.env.OTEL_LOG_LEVEL) {
-      envConfig.logLevel = process.env.OTEL_LOG_LEVEL;
+      setFromEnv('OTEL_SAMPLING_RATE', 'samplingRate', parseFloat(process.env.OTEL_SAMPLING_RATE));
     }
     
     // Custom attributes from environment
-    const customAttrs = {};
     Object.keys(process.env).forEach(key => {
       if (key.startsWith('OTEL_ATTR_')) {
         const attrName = key.replace('OTEL_ATTR_', '').toLowerCase();
-        customAttrs[attrName] = process.env[key];
+        setFromEnv(key, `customAttributes.${attrName}`, process.env[key]);
       }
     });
     
-    if (Object.keys(customAttrs).length > 0) {
-      envConfig.customAttributes = { ...envConfig.customAttributes, ...customAttrs };
-    }
+    const variableOf = (names) => (path) => `env:${names[path] || names[path.split('.')[0]]}`;
+    recordSources(sources, otelConfig, variableOf(otelVariables));
+    recordSources(sources, envConfig, variableOf(variables));
     
-    return envConfig;
+    return this._deepMerge(this._deepMerge(config, otelConfig), envConfig);
   }
   
   /**
@@ -242,34 +845,24 @@ class DynatraceConfig {
    * @returns {Object} Merged object
    */
   _deepMerge(target, source) {
-    const result = { ...target };
-    
-    for (const key in source) {
-      if (source[key] && typeof source[key] === 'object' && !Array.isArray(source[key])) {
-        result[key] = this._deepMerge(result[key] || {}, source[key]);
-      } else {
-        result[key] = source[key];
-      }
-    }
-    
-    return result;
+    return deepMerge(target, source);
   }
   
   /**
-   * Get the complete configuration
+   * Get the complete configuration (secrets redacted)
    * @returns {Object} Configuration object
    */
   getConfig() {
-    return { ...this.config };
+    return redactConfigSecrets(this.config);
   }
   
   /**
-   * Get a specific configuration value
+   * Get a specific configuration value (secrets redacted)
    * @param {string} path - Configuration path (e.g., 'instrumentations.http.enabled')
    * @returns {*} Configuration value
    */
   get(path) {
-    return path.split('.').reduce((obj, key) => obj?.[key], this.config);
+    return path.split('.').reduce((obj, key) => obj?.[key], this.getConfig());
   }
   
   /**
@@ -278,6 +871,7 @@ class DynatraceConfig {
    * @param {*} value - Value to set
    */
   set(path, value) {
+    this.sources[path] = 'user';
     const keys = path.split('.');
     const lastKey = keys.pop();
     const target = keys.reduce((obj, key) => {
@@ -290,88 +884,39 @@ class DynatraceConfig {
   
   /**
    * Validate configuration
-   * @returns {Object} Validation result with errors
+   * @returns {Object} Validation result with errors and warnings
    */
   validate() {
-    const errors = [];
-    const warnings = [];
-    
-    // Required fields
-    if (!this.config.dtApiUrl) {
-      errors.push('dtApiUrl is required');
-    }
-    
-    if (!this.config.dtApiToken) {
-      errors.push('dtApiToken is required');
-    }
-    
-    if (!this.config.serviceName) {
-      errors.push('serviceName is required');
-    }
-    
-    // URL validation
-    if (this.config.dtApiUrl) {
-      try {
-        new URL(this.config.dtApiUrl);
-      } catch (e) {
-        errors.push('dtApiUrl must be a valid URL');
-      }
-    }
-    
-    // Sampling rate validation
-    if (this.config.samplingRate < 0 || this.config.samplingRate > 1) {
-      errors.push('samplingRate must be between 0 and 1');
-    }
-    
-    // Performance warnings
-    if (this.config.samplingRate === 1.0 && this.config.deploymentEnvironment === 'production') {
-      warnings.push('100% sampling rate in production may impact performance');
-    }
-    
-    if (this.config.maxExportBatchSize > 2048) {
-      warnings.push('Large batch size may cause memory issues');
-    }
-    
-    return {
-      isValid: errors.length === 0,
-      errors,
-      warnings
-    };
+    return validateConfig(this.config);
   }
   
   /**
    * Get configuration summary for logging
+   * @param {Object} options - Summary options
+   * @param {boolean} options.withSources - Include where each setting came from
    * @returns {Object} Configuration summary
    */
-  getSummary() {
-    return {
-      serviceName: this.config.serviceName,
-      serviceVersion: this.config.serviceVersion,
-      environment: this.config.deploymentEnvironment,
-      enabled: this.config.enabled,
-      samplingRate: this.config.samplingRate,
-      logLevel: this.config.logLevel,
-      apiUrl: this.config.dtApiUrl ? 'configured' : 'missing',
-      apiToken: this.config.dtApiToken ? 'configured' : 'missing',
-      instrumentations: Object.keys(this.config.instrumentations).filter(
-        key => this.config.instrumentations[key].enabled
-      )
-    };
+  getSummary(options = {}) {
+    return getConfigSummary(this.config, { ...options, sources: this.sources });
   }
 }
 
 /**
- * Create configuration from environment or user input
- * @param {Object} userConfig - User configuration
- * @returns {DynatraceConfig} Configuration instance
+ * Create and validate configuration
+ * Sources are merged as defaults < environment preset < service template < config file < userConfig < environment variables
+ * @param {Object|DynatraceConfig} userConfig - User configuration or a DynatraceConfig instance
+ * @returns {Object} Validated configuration (includes the API token; see redactConfigSecrets)
  */
 function createConfig(userConfig = {}) {
-  return new DynatraceConfig(userConfig);
+  const dynatraceConfig = userConfig instanceof DynatraceConfig ? userConfig : new DynatraceConfig(userConfig);
+  return assertValidConfig({ ...dynatraceConfig.config });
 }
 
+
 /**
  * Create configuration for specific service types
- * @param {string} serviceType - Service type ('web-api', 'background-worker', 'microservice')
+ * @param {string|Array<string>} serviceType - Service template(s) ('web-api', 'background-worker', 'microservice'
+ *   or a name passed to registerServiceTemplate)
  * @param {Object} userConfig - Additional user configuration
  * @returns {DynatraceConfig} Configuration instance
  */
@@ -389,7 +934,7 @@ const quickConfigs = {
   /**
    * Development configuration
    */
-  development: (serviceName, userConfig = {}) => createConfig({
+  development: (serviceName, userConfig = {}) => new DynatraceConfig({
     serviceName,
     deploymentEnvironment: 'development',
     ...userConfig
@@ -398,7 +943,7 @@ const quickConfigs = {
   /**
    * Production configuration with performance optimizations
    */
-  production: (serviceName, userConfig = {}) => createConfig({
+  production: (serviceName, userConfig = {}) => new DynatraceConfig({
     serviceName,
     deploymentEnvironment: 'production',
     ...userConfig
@@ -407,7 +952,7 @@ const quickConfigs = {
   /**
    * Testing configuration with minimal overhead
    */
-  testing: (serviceName, userConfig = {}) => createConfig({
+  testing: (serviceName, userConfig = {}) => new DynatraceConfig({
     serviceName,
     deploymentEnvironment: 'testing',
     ...userConfig
@@ -417,7 +962,17 @@ const quickConfigs = {
 // CommonJS exports
 module.exports = {
   DynatraceConfig,
+  DEFAULT_CONFIG,
+  ENVIRONMENT_PRESETS,
+  SERVICE_TEMPLATES,
+  registerServiceTemplate,
+  describeTemplate,
   createConfig,
+  validateConfig,
+  assertValidConfig,
+  redactConfigSecrets,
+  deepMerge,
+  getConfigSummary,
   createServiceConfig,
   quickConfigs
 };
\ No newline at end of file
@@ -0,0 +1,149 @@
+// src/configs/endpoint-resolver.js - Dynatrace and OTLP Endpoint Resolution (CommonJS)
+
+/**
+ * OTLP signal paths appended to the resolved base URL
+ */
+const OTLP_SIGNAL_PATHS = {
+  traces: '/v1/traces',
+  metrics: '/v1/metrics',
+  logs: '/v1/logs'
+};
+
+const DYNATRACE_OTLP_PATH = '/api/v2/otlp';
+
+/**
+ * SaaS environment ID (e.g. 'abc12345'), expanded to https://<id>.live.dynatrace.com
+ */
+const ENVIRONMENT_ID_PATTERN = /^[a-z]{3}\d{5}$/i;
+
+/**
+ * SaaS hosts; the platform UI hosts (*.apps.*) are mapped to their API hosts
+ */
+const SAAS_HOST_PATTERN = /\.(dynatrace|dynatracelabs)\.com$/i;
+const SAAS_APPS_HOSTS = [
+  [/\.apps\.dynatrace\.com$/i, '.live.dynatrace.com'],
+  [/\.apps\.dynatracelabs\.com$/i, '.dynatracelabs.com']
+];
+
+/**
+ * Managed cluster or Environment ActiveGate environment path: /e/<environment-id>
+ */
+const ENVIRONMENT_PATH_PATTERN = /^(.*?\/e\/[^/]+)/;
+
+const SIGNAL_PATH_PATTERN = /\/v1\/(traces|metrics|logs)$/;
+
+/**
+ * Resolve an endpoint input to its OTLP base URL
+ *
+ * Accepted inputs:
+ *   - SaaS environment ID:   abc12345
+ *   - SaaS tenant URL:       https://abc12345.live.dynatrace.com (any path, *.apps.* UI URLs included)
+ *   - Managed / ActiveGate:  https://ag.example.com:9999/e/<environment-id>
+ *   - Dynatrace OTLP base:   https://.../api/v2/otlp
+ *   - Any other OTLP base:   http://localhost:4318 (e.g. a local OpenTelemetry Collector)
+ * Trailing slashes and a trailing /v1/<signal> are removed.
+ *
+ * @param {string} input - dtApiUrl value
+ * @returns {Object|null} { type: 'saas'|'managed'|'otlp', base } or null if the input is not usable
+ */
+function resolveOtlpBase(input) {
+  if (typeof input !== 'string' || !input.trim()) return null;
+
+  const value = input.trim();
+  if (ENVIRONMENT_ID_PATTERN.test(value)) {
+    return { type: 'saas', base: `https://${value.toLowerCase()}.live.dynatrace.com${DYNATRACE_OTLP_PATH}` };
+  }
+
+  let url;
+  try {
+    url = new URL(value);
+  } catch (e) {
+    return null;
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+
+  const path = url.pathname.replace(/\/+$/, '').replace(SIGNAL_PATH_PATTERN, '');
+  const otlpIndex = path.indexOf(DYNATRACE_OTLP_PATH);
+  const environmentPath = path.match(ENVIRONMENT_PATH_PATTERN);
+
+  if (environmentPath) {
+    return { type: 'managed', base: `${url.origin}${environmentPath[1]}${DYNATRACE_OTLP_PATH}` };
+  }
+
+  if (SAAS_HOST_PATTERN.test(url.hostname)) {
+    const apps = SAAS_APPS_HOSTS.find(([pattern]) => pattern.test(url.hostname));
+    const host = apps ? url.host.replace(apps[0], apps[1]) : url.host;
+    return { type: 'saas', base: `${url.protocol}//${host}${DYNATRACE_OTLP_PATH}` };
+  }
+
+  if (otlpIndex !== -1) {
+    return { type: 'managed', base: `${url.origin}${path.slice(0, otlpIndex)}${DYNATRACE_OTLP_PATH}` };
+  }
+
+  if (path.endsWith('/api/v2')) {
+    return { type: 'managed', base: `${url.origin}${path}/otlp` };
+  }
+
+  return { type: 'otlp', base: `${url.origin}${path}` };
+}
+
+/**
+ * Classify a full signal URL (tracesEndpoint) without rewriting it
+ * @param {string} url - Signal URL
+ * @returns {string|null} Endpoint type, or null if the URL is not usable
+ */
+function classifyEndpoint(url) {
+  const resolved = resolveOtlpBase(url);
+  return resolved ? resolved.type : null;
+}
+
+/**
+ * Resolve the traces, metrics and logs URLs of a configuration
+ * tracesEndpoint, when set, is used as is for traces
+ * @param {Object} config - Configuration (dtApiUrl, tracesEndpoint)
+ * @returns {Object} { type, base, traces, metrics, logs, requiresToken }; URLs are null when unresolved
+ */
+function resolveEndpoints(config) {
+  const resolved = resolveOtlpBase(config.dtApiUrl);
+  const base = resolved ? resolved.base : null;
+  const type = resolved ? resolved.type : classifyEndpoint(config.tracesEndpoint);
+
+  const endpoints = Object.fromEntries(
+    Object.entries(OTLP_SIGNAL_PATHS).map(([signal, signalPath]) => [signal, base ? `${base}${signalPath}` : null])
+  );
+  if (config.tracesEndpoint) {
+    endpoints.traces = config.tracesEndpoint;
+  }
+
+  return {
+    type,
+    base,
+    ...endpoints,
+    // A plain OTLP endpoint such as a local collector may run without authentication
+    requiresToken: type !== 'otlp'
+  };
+}
+
+/**
+ * Resolve the traces URL of an exporters entry
+ * A dynatrace entry without endpoint sends to the traces URL of the configuration
+ * @param {Object} destination - exporters entry (type, endpoint)
+ * @param {Object} endpoints - Configuration endpoints from resolveEndpoints
+ * @returns {string|null} Traces URL, null when unresolved
+ */
+function resolveExporterUrl(destination, endpoints) {
+  if (!destination.endpoint) {
+    return destination.type === 'dynatrace' ? endpoints.traces : null;
+  }
+
+  const resolved = resolveOtlpBase(destination.endpoint);
+  return resolved ? `${resolved.base}${OTLP_SIGNAL_PATHS.traces}` : null;
+}
+
+// CommonJS exports
+module.exports = {
+  OTLP_SIGNAL_PATHS,
+  resolveOtlpBase,
+  resolveEndpoints,
+  resolveExporterUrl
+};
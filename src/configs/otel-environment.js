@@ -0,0 +1,262 @@
+// src/configs/otel-environment.js - Standard OpenTelemetry Environment Variables (CommonJS)
+
+const { createLogger } = require('../utils/logger.js');
+
+const logger = createLogger('config');
+
+/**
+ * Sampling rate for each OTEL_TRACES_SAMPLER value (null = taken from OTEL_TRACES_SAMPLER_ARG)
+ * ODN always samples parent-based, so the parentbased_ variants map to the same rate
+ */
+const SAMPLER_RATES = {
+  always_on: 1.0,
+  always_off: 0,
+  traceidratio: null,
+  parentbased_always_on: 1.0,
+  parentbased_always_off: 0,
+  parentbased_traceidratio: null
+};
+
+/**
+ * OTEL_BSP_* variables mapped to configuration keys
+ */
+const BSP_VARIABLES = {
+  OTEL_BSP_SCHEDULE_DELAY: 'scheduledDelayMs',
+  OTEL_BSP_EXPORT_TIMEOUT: 'exportTimeoutMs',
+  OTEL_BSP_MAX_EXPORT_BATCH_SIZE: 'maxExportBatchSize',
+  OTEL_BSP_MAX_QUEUE_SIZE: 'maxQueueSize'
+};
+
+/**
+ * OTEL_ATTRIBUTE_*_LIMIT variables mapped to spanLimits keys
+ */
+const LIMIT_VARIABLES = {
+  OTEL_ATTRIBUTE_VALUE_LENGTH_LIMIT: 'attributeValueLengthLimit',
+  OTEL_ATTRIBUTE_COUNT_LIMIT: 'attributeCountLimit'
+};
+
+/**
+ * OTEL_LOG_LEVEL values (case-insensitive) mapped to logLevel
+ */
+const LOG_LEVELS = {
+  none: 'silent',
+  error: 'error',
+  warn: 'warn',
+  info: 'info',
+  debug: 'debug',
+  verbose: 'debug',
+  all: 'debug'
+};
+
+/**
+ * Supported OTEL_EXPORTER_OTLP_PROTOCOL and OTEL_EXPORTER_OTLP_COMPRESSION values
+ */
+const OTLP_PROTOCOLS = ['http/protobuf', 'http/json'];
+const OTLP_COMPRESSIONS = ['gzip', 'none'];
+
+/**
+ * OTLP TLS variables the OTLP/HTTP exporter does not support; requests use Node's default
+ * trust store (extend it with NODE_EXTRA_CA_CERTS) and no client certificate
+ */
+const UNSUPPORTED_TLS_VARIABLES = [
+  'OTEL_EXPORTER_OTLP_CERTIFICATE',
+  'OTEL_EXPORTER_OTLP_CLIENT_KEY',
+  'OTEL_EXPORTER_OTLP_CLIENT_CERTIFICATE',
+  ...['TRACES', 'METRICS', 'LOGS'].flatMap(signal => [
+    `OTEL_EXPORTER_OTLP_${signal}_CERTIFICATE`,
+    `OTEL_EXPORTER_OTLP_${signal}_CLIENT_KEY`,
+    `OTEL_EXPORTER_OTLP_${signal}_CLIENT_CERTIFICATE`
+  ])
+];
+
+/**
+ * Parse a W3C Baggage style list ('key1=value1,key2=value2') as used by
+ * OTEL_RESOURCE_ATTRIBUTES and OTEL_EXPORTER_OTLP_HEADERS
+ * @param {string} value - Raw variable value
+ * @param {string} variable - Variable name for warnings
+ * @returns {Object} Parsed key/value pairs
+ */
+function parseKeyValueList(value, variable) {
+  return value.split(',').reduce((pairs, entry) => {
+    if (!entry.trim()) return pairs;
+
+    const separator = entry.indexOf('=');
+    const key = separator > 0 ? entry.slice(0, separator).trim() : '';
+    if (!key) {
+      logger.warn(`Ignoring malformed ${variable} entry`, { entry });
+      return pairs;
+    }
+
+    try {
+      pairs[key] = decodeURIComponent(entry.slice(separator + 1).trim());
+    } catch (e) {
+      logger.warn(`Ignoring malformed ${variable} entry`, { key });
+    }
+    return pairs;
+  }, {});
+}
+
+/**
+ * Parse a numeric variable, ignoring invalid values as the specification requires
+ * All mapped settings must be positive, so 0 is ignored as well
+ * @param {Object} env - Environment variables
+ * @param {string} variable - Variable name
+ * @param {Function} parse - parseInt or parseFloat
+ * @returns {number|undefined} Parsed value, undefined if unset, invalid or not positive
+ */
+function readNumber(env, variable, parse = (value) => parseInt(value, 10)) {
+  if (env[variable] === undefined || env[variable] === '') return undefined;
+
+  const value = parse(env[variable]);
+  if (!Number.isFinite(value) || value <= 0) {
+    logger.warn(`Ignoring invalid ${variable}`, { value: env[variable] });
+    return undefined;
+  }
+  return value;
+}
+
+/**
+ * Resolve the sampling rate from OTEL_TRACES_SAMPLER and OTEL_TRACES_SAMPLER_ARG
+ * @param {Object} env - Environment variables
+ * @returns {number|undefined} Sampling rate, undefined if unset or unsupported
+ */
+function readSamplingRate(env) {
+  const sampler = (env.OTEL_TRACES_SAMPLER || '').trim().toLowerCase();
+  if (!sampler) return undefined;
+
+  if (!(sampler in SAMPLER_RATES)) {
+    logger.warn('Ignoring unsupported OTEL_TRACES_SAMPLER', { sampler });
+    return undefined;
+  }
+
+  if (SAMPLER_RATES[sampler] !== null) {
+    return SAMPLER_RATES[sampler];
+  }
+
+  const ratio = readNumber(env, 'OTEL_TRACES_SAMPLER_ARG', parseFloat);
+  if (ratio === undefined || ratio > 1) {
+    if (env.OTEL_TRACES_SAMPLER_ARG !== undefined) {
+      logger.warn('Invalid OTEL_TRACES_SAMPLER_ARG, sampling everything', { value: env.OTEL_TRACES_SAMPLER_ARG });
+    }
+    return 1.0;
+  }
+  return ratio;
+}
+
+/**
+ * Map the standard OTEL_* environment variables into ODN configuration
+ * Within this layer OTEL_SERVICE_NAME wins over service.name in OTEL_RESOURCE_ATTRIBUTES,
+ * and OTEL_EXPORTER_OTLP_TRACES_ENDPOINT wins over OTEL_EXPORTER_OTLP_ENDPOINT for traces
+ * @param {Object} env - Environment variables (default: process.env)
+ * @param {Object} variables - Filled with the variable that set each configuration key (optional)
+ * @returns {Object} Partial configuration
+ */
+function fromOtelEnvironment(env = process.env, variables = {}) {
+  const config = {};
+
+  if (env.OTEL_RESOURCE_ATTRIBUTES) {
+    const {
+      'service.name': serviceName,
+      'service.version': serviceVersion,
+      ...attributes
+    } = parseKeyValueList(env.OTEL_RESOURCE_ATTRIBUTES, 'OTEL_RESOURCE_ATTRIBUTES');
+
+    if (serviceName) config.serviceName = serviceName;
+    if (serviceVersion) config.serviceVersion = serviceVersion;
+    if (Object.keys(attributes).length > 0) config.customAttributes = attributes;
+    Object.keys(config).forEach(key => { variables[key] = 'OTEL_RESOURCE_ATTRIBUTES'; });
+  }
+
+  if (env.OTEL_SERVICE_NAME) {
+    config.serviceName = env.OTEL_SERVICE_NAME;
+    variables.serviceName = 'OTEL_SERVICE_NAME';
+  }
+
+  if (env.OTEL_SDK_DISABLED !== undefined && env.OTEL_SDK_DISABLED.trim().toLowerCase() === 'true') {
+    config.enabled = false;
+    variables.enabled = 'OTEL_SDK_DISABLED';
+  }
+
+  // Exporter
+  if (env.OTEL_EXPORTER_OTLP_ENDPOINT) {
+    config.dtApiUrl = env.OTEL_EXPORTER_OTLP_ENDPOINT.replace(/\/+$/, '');
+    variables.dtApiUrl = 'OTEL_EXPORTER_OTLP_ENDPOINT';
+  }
+
+  if (env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT) {
+    config.tracesEndpoint = env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT;
+    variables.tracesEndpoint = 'OTEL_EXPORTER_OTLP_TRACES_ENDPOINT';
+  }
+
+  if (env.OTEL_EXPORTER_OTLP_HEADERS) {
+    config.exportHeaders = parseKeyValueList(env.OTEL_EXPORTER_OTLP_HEADERS, 'OTEL_EXPORTER_OTLP_HEADERS');
+    variables.exportHeaders = 'OTEL_EXPORTER_OTLP_HEADERS';
+  }
+
+  // grpc is not supported; the specification values for compression are 'gzip' and 'none'
+  if (env.OTEL_EXPORTER_OTLP_PROTOCOL) {
+    const protocol = env.OTEL_EXPORTER_OTLP_PROTOCOL.trim().toLowerCase();
+    if (OTLP_PROTOCOLS.includes(protocol)) {
+      config.protocol = protocol;
+      variables.protocol = 'OTEL_EXPORTER_OTLP_PROTOCOL';
+    } else {
+      logger.warn('Ignoring unsupported OTEL_EXPORTER_OTLP_PROTOCOL', { protocol });
+    }
+  }
+
+  if (env.OTEL_EXPORTER_OTLP_COMPRESSION) {
+    const compression = env.OTEL_EXPORTER_OTLP_COMPRESSION.trim().toLowerCase();
+    if (OTLP_COMPRESSIONS.includes(compression)) {
+      config.compression = compression;
+      variables.compression = 'OTEL_EXPORTER_OTLP_COMPRESSION';
+    } else {
+      logger.warn('Ignoring unsupported OTEL_EXPORTER_OTLP_COMPRESSION', { compression });
+    }
+  }
+
+  UNSUPPORTED_TLS_VARIABLES.filter(variable => env[variable]).forEach(variable => {
+    logger.warn(`Ignoring unsupported ${variable}, use NODE_EXTRA_CA_CERTS for a private CA`);
+  });
+
+  if (env.OTEL_LOG_LEVEL) {
+    const logLevel = LOG_LEVELS[env.OTEL_LOG_LEVEL.trim().toLowerCase()];
+    if (logLevel) {
+      config.logLevel = logLevel;
+      variables.logLevel = 'OTEL_LOG_LEVEL';
+    } else {
+      logger.warn('Ignoring unsupported OTEL_LOG_LEVEL', { value: env.OTEL_LOG_LEVEL });
+    }
+  }
+
+  // Sampling
+  const samplingRate = readSamplingRate(env);
+  if (samplingRate !== undefined) {
+    config.samplingRate = samplingRate;
+    variables.samplingRate = 'OTEL_TRACES_SAMPLER';
+  }
+
+  // Batch span processor
+  Object.entries(BSP_VARIABLES).forEach(([variable, key]) => {
+    const value = readNumber(env, variable);
+    if (value !== undefined) {
+      config[key] = value;
+      variables[key] = variable;
+    }
+  });
+
+  // Span limits
+  Object.entries(LIMIT_VARIABLES).forEach(([variable, key]) => {
+    const value = readNumber(env, variable);
+    if (value !== undefined) {
+      config.spanLimits = { ...config.spanLimits, [key]: value };
+      variables[`spanLimits.${key}`] = variable;
+    }
+  });
+
+  return config;
+}
+
+// CommonJS exports
+module.exports = {
+  fromOtelEnvironment
+};
@@ -0,0 +1,137 @@
+// src/configs/runtime-config.js - Runtime Configuration Updates (CommonJS)
+
+/**
+ * Configuration paths that can change on a running instance ('*' matches one path segment)
+ * Everything else (endpoints, exporters, batching, resource, ...) needs a restart
+ */
+const RUNTIME_UPDATABLE_PATHS = [
+  'samplingRate',
+  'samplingRules',
+  'tailSampling.latencyThresholdMs',
+  'logLevel',
+  'logFormat',
+  'logSink',
+  'instrumentations.*.ignoreIncomingPaths',
+  'instrumentations.*.ignoreOutgoingHosts',
+  'instrumentations.*.ignoreLayers'
+];
+
+/**
+ * Check whether a configuration path can change at runtime
+ * @param {string} path - Configuration path (e.g. 'instrumentations.http.ignoreIncomingPaths')
+ * @returns {boolean} True if the path is runtime updatable
+ */
+function isRuntimeUpdatable(path) {
+  const segments = path.split('.');
+
+  return RUNTIME_UPDATABLE_PATHS.some(pattern => {
+    const patternSegments = pattern.split('.');
+    return patternSegments.length === segments.length
+      && patternSegments.every((segment, index) => segment === '*' || segment === segments[index]);
+  });
+}
+
+/**
+ * Check whether a value is a plain object (merged key by key rather than replaced)
+ * @param {*} value - Value to check
+ * @returns {boolean} True for plain objects
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof RegExp);
+}
+
+/**
+ * Compare two configuration values
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if equal
+ */
+function isEqualValue(a, b) {
+  if (a === b) return true;
+  if (a instanceof RegExp && b instanceof RegExp) return String(a) === String(b);
+
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, index) => isEqualValue(item, b[index]));
+  }
+
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+    return Array.from(keys).every(key => isEqualValue(a[key], b[key]));
+  }
+
+  return false;
+}
+
+/**
+ * List the paths whose values differ between two configurations
+ * Plain objects are compared key by key; arrays and other values as a whole
+ * @param {Object} current - Current configuration
+ * @param {Object} next - Next configuration
+ * @param {string} prefix - Path prefix
+ * @returns {Array<string>} Changed paths
+ */
+function diffConfig(current = {}, next = {}, prefix = '') {
+  const keys = new Set([...Object.keys(current), ...Object.keys(next)]);
+
+  return Array.from(keys).flatMap(key => {
+    const path = prefix ? `${prefix}.${key}` : key;
+
+    if (isPlainObject(current[key]) && isPlainObject(next[key])) {
+      return diffConfig(current[key], next[key], path);
+    }
+    return isEqualValue(current[key], next[key]) ? [] : [path];
+  });
+}
+
+/**
+ * Read a value by path
+ * @param {Object} config - Configuration
+ * @param {string} path - Configuration path
+ * @returns {*} Value
+ */
+function getPath(config, path) {
+  return path.split('.').reduce((obj, key) => obj?.[key], config);
+}
+
+/**
+ * Return a copy of the configuration with one path set
+ * @param {Object} config - Configuration
+ * @param {string} path - Configuration path
+ * @param {*} value - Value to set
+ * @returns {Object} Updated copy
+ */
+function setPath(config, path, value) {
+  const [key, ...rest] = path.split('.');
+  if (rest.length === 0) {
+    return { ...config, [key]: value };
+  }
+  return { ...config, [key]: setPath(isPlainObject(config[key]) ? config[key] : {}, rest.join('.'), value) };
+}
+
+/**
+ * Split the differences between two configurations into runtime and restart-only changes
+ * @param {Object} current - Running configuration
+ * @param {Object} next - Requested configuration (already validated)
+ * @param {Function} canApply - Decides whether a path can change on this instance (default: isRuntimeUpdatable)
+ * @returns {Object} { config, applied, restartRequired } where config is current plus the applied changes
+ */
+function planConfigUpdate(current, next, canApply = isRuntimeUpdatable) {
+  const changed = diffConfig(current, next);
+  const applied = changed.filter(path => canApply(path));
+  const restartRequired = changed.filter(path => !canApply(path));
+
+  const config = applied.reduce((result, path) => setPath(result, path, getPath(next, path)), current);
+
+  return { config, applied, restartRequired };
+}
+
+// CommonJS exports
+module.exports = {
+  RUNTIME_UPDATABLE_PATHS,
+  isRuntimeUpdatable,
+  isEqualValue,
+  diffConfig,
+  getPath,
+  setPath,
+  planConfigUpdate
+};
@@ -0,0 +1,62 @@
+// src/exporters/attribute-filter-exporter.js - Per-Destination Span Attribute Filter (CommonJS)
+
+const { compileRoutePatterns, matchesRoute } = require('../utils/route-patterns.js');
+
+/**
+ * Span exporter wrapper that removes span attributes before export, e.g. to keep
+ * user identifiers away from one destination while another still receives them
+ * Attribute keys are matched with include / exclude globs ('enduser.*') or RegExps;
+ * without include every attribute not excluded is kept
+ */
+class AttributeFilterExporter {
+  #exporter;
+  #include;
+  #exclude;
+
+  /**
+   * @param {Object} exporter - Span exporter
+   * @param {Object} attributeFilter - { include, exclude } attribute key patterns
+   */
+  constructor(exporter, { include, exclude = [] }) {
+    this.#exporter = exporter;
+    this.#include = include ? compileRoutePatterns(include) : null;
+    this.#exclude = compileRoutePatterns(exclude);
+  }
+
+  export(spans, resultCallback) {
+    this.#exporter.export(spans.map(span => this.#filterSpan(span)), resultCallback);
+  }
+
+  /**
+   * Check whether an attribute is exported
+   * @param {string} key - Attribute key
+   * @returns {boolean} True if the attribute is kept
+   */
+  #isKept(key) {
+    return (!this.#include || matchesRoute(key, this.#include)) && !matchesRoute(key, this.#exclude);
+  }
+
+  /**
+   * View of a finished span with the filtered attributes; the span itself is shared with
+   * the other destinations and stays untouched
+   * @param {ReadableSpan} span - Finished span
+   * @returns {ReadableSpan} Filtered span
+   */
+  #filterSpan(span) {
+    const attributes = Object.fromEntries(Object.entries(span.attributes).filter(([key]) => this.#isKept(key)));
+    return Object.create(span, { attributes: { value: attributes, enumerable: true } });
+  }
+
+  forceFlush() {
+    return typeof this.#exporter.forceFlush === 'function' ? this.#exporter.forceFlush() : Promise.resolve();
+  }
+
+  shutdown() {
+    return this.#exporter.shutdown();
+  }
+}
+
+// CommonJS exports
+module.exports = {
+  AttributeFilterExporter
+};
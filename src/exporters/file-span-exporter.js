@@ -0,0 +1,75 @@
+// src/exporters/file-span-exporter.js - OTLP JSON Lines File Exporter (CommonJS)
+
+const fs = require('fs');
+const path = require('path');
+const { JsonTraceSerializer } = require('@opentelemetry/otlp-transformer');
+const { EXPORT_SUCCESS, EXPORT_FAILED } = require('./otlp-http-exporter.js');
+
+/**
+ * Span exporter appending one OTLP/JSON export request per line to a file, the format the
+ * OpenTelemetry Collector's file exporter writes and its otlpjsonfile receiver reads
+ */
+class FileSpanExporter {
+  #path;
+  #directoryReady = null;
+  #writes = Promise.resolve();
+  #isShutdown = false;
+
+  /**
+   * @param {Object} options - Exporter options
+   * @param {string} options.path - Output file (its directory is created if missing)
+   */
+  constructor({ path: filePath }) {
+    this.#path = filePath;
+  }
+
+  export(spans, resultCallback) {
+    if (this.#isShutdown) {
+      resultCallback({ code: EXPORT_FAILED, error: new Error('Exporter has been shut down') });
+      return;
+    }
+
+    let line;
+    try {
+      line = `${Buffer.from(JsonTraceSerializer.serializeRequest(spans)).toString('utf8')}\n`;
+    } catch (error) {
+      resultCallback({ code: EXPORT_FAILED, error });
+      return;
+    }
+
+    // Writes are chained so lines keep the export order
+    this.#writes = this.#writes
+      .then(() => this.#append(line))
+      .then(
+        () => resultCallback({ code: EXPORT_SUCCESS }),
+        (error) => resultCallback({ code: EXPORT_FAILED, error })
+      );
+  }
+
+  /**
+   * Append a line, creating the directory on first use
+   * @param {string} line - Serialized request with trailing newline
+   * @returns {Promise<void>}
+   */
+  async #append(line) {
+    if (!this.#directoryReady) {
+      this.#directoryReady = fs.promises.mkdir(path.dirname(this.#path), { recursive: true });
+    }
+    await this.#directoryReady;
+    await fs.promises.appendFile(this.#path, line);
+  }
+
+  forceFlush() {
+    return this.#writes;
+  }
+
+  shutdown() {
+    this.#isShutdown = true;
+    return this.#writes;
+  }
+}
+
+// CommonJS exports
+module.exports = {
+  FileSpanExporter
+};
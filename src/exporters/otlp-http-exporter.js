@@ -0,0 +1,296 @@
+// src/exporters/otlp-http-exporter.js - Single-Attempt OTLP/HTTP Exporter (CommonJS)
+
+const http = require('http');
+const https = require('https');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const { metrics: sdkMetrics } = require('@opentelemetry/sdk-node');
+const {
+  JsonTraceSerializer,
+  JsonMetricsSerializer,
+  JsonLogsSerializer,
+  ProtobufTraceSerializer,
+  ProtobufMetricsSerializer,
+  ProtobufLogsSerializer
+} = require('@opentelemetry/otlp-transformer');
+const { version } = require('../../package.json');
+
+/**
+ * ExportResultCode values (@opentelemetry/core)
+ */
+const EXPORT_SUCCESS = 0;
+const EXPORT_FAILED = 1;
+
+const DEFAULT_TIMEOUT_MS = 10000;
+
+const gzip = promisify(zlib.gzip);
+
+/**
+ * Request serializer for each protocol and signal
+ */
+const SERIALIZERS = {
+  'http/protobuf': {
+    traces: ProtobufTraceSerializer,
+    metrics: ProtobufMetricsSerializer,
+    logs: ProtobufLogsSerializer
+  },
+  'http/json': {
+    traces: JsonTraceSerializer,
+    metrics: JsonMetricsSerializer,
+    logs: JsonLogsSerializer
+  }
+};
+
+const CONTENT_TYPES = {
+  'http/protobuf': 'application/x-protobuf',
+  'http/json': 'application/json'
+};
+
+/**
+ * Metric readers export one ResourceMetrics; the serializer takes a list
+ */
+const toSerializerInput = {
+  traces: (spans) => spans,
+  metrics: (resourceMetrics) => [resourceMetrics],
+  logs: (logRecords) => logRecords
+};
+
+const USER_AGENT = `otel-dynatrace-nodejs/${version}`;
+
+/**
+ * Export failure carrying the HTTP status (code) and the Retry-After delay, if any
+ */
+class OtlpHttpError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {number} code - HTTP status code
+   * @param {Object} details - Error details
+   * @param {number|null} details.retryAfterMs - Delay requested by the Retry-After header
+   * @param {string} details.data - Response body
+   */
+  constructor(message, code, { retryAfterMs = null, data = '' } = {}) {
+    super(message);
+    this.name = 'OtlpHttpError';
+    this.code = code;
+    this.retryAfterMs = retryAfterMs;
+    this.data = data;
+  }
+}
+
+/**
+ * Parse a Retry-After header (delay in seconds or an HTTP date)
+ * @param {string} value - Header value
+ * @returns {number|null} Delay in milliseconds, null if missing or invalid
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+
+  if (/^\d+$/.test(value.trim())) {
+    return parseInt(value, 10) * 1000;
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Dynatrace accepts delta temporality; up-down counters stay cumulative
+ * @param {InstrumentType} instrumentType - Metric instrument type
+ * @returns {AggregationTemporality} Temporality
+ */
+function selectDeltaTemporality(instrumentType) {
+  const { InstrumentType, AggregationTemporality } = sdkMetrics;
+
+  return instrumentType === InstrumentType.UP_DOWN_COUNTER
+    || instrumentType === InstrumentType.OBSERVABLE_UP_DOWN_COUNTER
+    ? AggregationTemporality.CUMULATIVE
+    : AggregationTemporality.DELTA;
+}
+
+/**
+ * OTLP/HTTP exporter (protobuf or JSON, optionally gzipped) for spans, metrics or log records
+ * that sends every batch exactly once
+ * Unlike the @opentelemetry/exporter-*-otlp-http exporters it never retries on its own, and
+ * failures carry the HTTP status and Retry-After delay so RetryingExporter can decide
+ * Requests go out directly with Node's default TLS settings: proxies and the
+ * OTEL_EXPORTER_OTLP_CERTIFICATE / CLIENT_KEY / CLIENT_CERTIFICATE variables are not supported
+ */
+class OtlpHttpExporter {
+  #signal;
+  #url;
+  #headers;
+  #timeoutMs;
+  #contentType;
+  #compression;
+  #serializer;
+  #agent;
+  #pending = new Set();
+  #isShutdown = false;
+
+  /**
+   * @param {Object} options - Exporter options
+   * @param {string} options.signal - 'traces', 'metrics' or 'logs'
+   * @param {string} options.url - Signal URL (e.g. https://abc12345.live.dynatrace.com/api/v2/otlp/v1/traces)
+   * @param {Object} options.headers - Request headers (e.g. Authorization)
+   * @param {string} options.protocol - 'http/protobuf' (default) or 'http/json'
+   * @param {string} options.compression - 'none' (default) or 'gzip'
+   * @param {number} options.timeoutMs - Default request timeout (default: 10000)
+   */
+  constructor({
+    signal,
+    url,
+    headers = {},
+    protocol = 'http/protobuf',
+    compression = 'none',
+    timeoutMs = DEFAULT_TIMEOUT_MS
+  }) {
+    if (!SERIALIZERS[protocol]) {
+      throw new Error(`Unsupported OTLP protocol: ${protocol}`);
+    }
+    if (!SERIALIZERS[protocol][signal]) {
+      throw new Error(`Unknown OTLP signal: ${signal}`);
+    }
+
+    this.#signal = signal;
+    this.#url = new URL(url);
+    this.#headers = headers;
+    this.#timeoutMs = timeoutMs;
+    this.#serializer = SERIALIZERS[protocol][signal];
+    this.#contentType = CONTENT_TYPES[protocol];
+    this.#compression = compression;
+    this.#agent = new (this.#url.protocol === 'https:' ? https : http).Agent({ keepAlive: true });
+
+    if (signal === 'metrics') {
+      this.selectAggregationTemporality = selectDeltaTemporality;
+    }
+  }
+
+  /**
+   * Send a batch once
+   * @param {Array|Object} items - Spans, ResourceMetrics or log records
+   * @param {Function} resultCallback - Called with { code, error }
+   * @param {Object} options - Attempt options
+   * @param {number} options.timeoutMs - Request timeout for this attempt (default: the exporter's)
+   */
+  export(items, resultCallback, { timeoutMs } = {}) {
+    if (this.#isShutdown) {
+      resultCallback({ code: EXPORT_FAILED, error: new Error('Exporter has been shut down') });
+      return;
+    }
+
+    let body;
+    try {
+      body = this.serialize(items);
+    } catch (error) {
+      resultCallback({ code: EXPORT_FAILED, error });
+      return;
+    }
+
+    const request = this.send(body, { timeoutMs })
+      .then(
+        () => resultCallback({ code: EXPORT_SUCCESS }),
+        (error) => resultCallback({ code: EXPORT_FAILED, error })
+      )
+      .finally(() => this.#pending.delete(request));
+    this.#pending.add(request);
+  }
+
+  /**
+   * Content-Type of the bodies serialize() returns
+   * @returns {string}
+   */
+  get contentType() {
+    return this.#contentType;
+  }
+
+  /**
+   * Serialize a batch into an export request body
+   * @param {Array|Object} items - Spans, ResourceMetrics or log records
+   * @returns {Uint8Array} Request body
+   */
+  serialize(items) {
+    return this.#serializer.serializeRequest(toSerializerInput[this.#signal](items)) || new Uint8Array();
+  }
+
+  /**
+   * POST a serialized request body once, gzipped when compression is 'gzip'
+   * @param {Uint8Array} body - Serialized export request
+   * @param {Object} options - Request options
+   * @param {number} options.timeoutMs - Request timeout (default: the exporter's)
+   * @param {string} options.contentType - Content-Type of the body (default: the exporter's protocol)
+   * @returns {Promise<void>} Resolves on a 2xx response
+   */
+  async send(body, { timeoutMs = this.#timeoutMs, contentType = this.#contentType } = {}) {
+    const gzipped = this.#compression === 'gzip';
+    const payload = gzipped ? await gzip(body) : Buffer.from(body);
+
+    return this.#post(payload, {
+      'Content-Type': contentType,
+      ...(gzipped && { 'Content-Encoding': 'gzip' })
+    }, timeoutMs);
+  }
+
+  /**
+   * POST a request body
+   * @param {Buffer} payload - Request body
+   * @param {Object} contentHeaders - Content-Type and Content-Encoding
+   * @param {number} timeoutMs - Request timeout
+   * @returns {Promise<void>} Resolves on a 2xx response
+   */
+  #post(payload, contentHeaders, timeoutMs) {
+    const transport = this.#url.protocol === 'https:' ? https : http;
+
+    return new Promise((resolve, reject) => {
+      const req = transport.request(this.#url, {
+        method: 'POST',
+        agent: this.#agent,
+        headers: {
+          ...contentHeaders,
+          'User-Agent': USER_AGENT,
+          ...this.#headers
+        }
+      }, (res) => {
+        let data = '';
+        res.setEncoding('utf8');
+        res.on('data', chunk => { data += chunk; });
+        res.on('end', () => {
+          if (res.statusCode >= 200 && res.statusCode < 300) {
+            resolve();
+            return;
+          }
+          reject(new OtlpHttpError(res.statusMessage || `HTTP ${res.statusCode}`, res.statusCode, {
+            retryAfterMs: parseRetryAfter(res.headers['retry-after']),
+            data
+          }));
+        });
+        res.on('error', reject);
+      });
+
+      req.setTimeout(timeoutMs, () => {
+        const error = new Error('Request Timeout');
+        error.code = 'ETIMEDOUT';
+        req.destroy(error);
+      });
+      req.on('error', reject);
+      req.end(payload);
+    });
+  }
+
+  forceFlush() {
+    return Promise.all(Array.from(this.#pending)).then(() => undefined);
+  }
+
+  shutdown() {
+    this.#isShutdown = true;
+    return this.forceFlush().then(() => this.#agent.destroy());
+  }
+}
+
+// CommonJS exports
+module.exports = {
+  EXPORT_SUCCESS,
+  EXPORT_FAILED,
+  OtlpHttpError,
+  OtlpHttpExporter,
+  parseRetryAfter
+};
@@ -0,0 +1,499 @@
+// src/exporters/persistent-queue-exporter.js - Disk-Backed Export Queue (CommonJS)
+
+const fs = require('fs');
+const path = require('path');
+const { EXPORT_SUCCESS, EXPORT_FAILED } = require('./otlp-http-exporter.js');
+const { isRetryableError, countItems } = require('./retrying-exporter.js');
+const { createLogger } = require('../utils/logger.js');
+
+const logger = createLogger('exporter');
+
+/**
+ * Batch file name: <created at, ms>-<sequence>-<item count>.<format>
+ * Zero padding keeps the lexical order of the names equal to the export order
+ */
+const BATCH_FILE_PATTERN = /^(\d{15})-(\d{9})-(\d+)\.(pb|json)$/;
+
+/**
+ * Batch file extension for each request Content-Type; batches are stored uncompressed, so a
+ * batch queued before a protocol or compression change is still replayed as it was serialized
+ */
+const FORMAT_EXTENSIONS = {
+  'application/x-protobuf': 'pb',
+  'application/json': 'json'
+};
+const FORMAT_CONTENT_TYPES = {
+  pb: 'application/x-protobuf',
+  json: 'application/json'
+};
+
+/**
+ * Suffix of batch files being written
+ */
+const TEMP_SUFFIX = '.tmp';
+
+/**
+ * HTTP statuses that keep queued batches on disk (the token may be fixed or rotated)
+ */
+const KEEP_ON_STATUS_CODES = [401, 403];
+
+/**
+ * Lock file holding the process id of the queue owner
+ */
+const LOCK_FILE = '.lock';
+
+/**
+ * Queue directories locked by this process
+ */
+const lockedDirectories = new Set();
+
+/**
+ * Check whether another live process holds a queue lock
+ * A lock left by this process id belongs to an earlier run (e.g. the same pid in a restarted container),
+ * unless this process locked the directory itself
+ * @param {string} directory - Queue directory
+ * @returns {boolean} True if the lock is held
+ */
+function isLockHeld(directory) {
+  let pid;
+  try {
+    pid = parseInt(fs.readFileSync(path.join(directory, LOCK_FILE), 'utf8'), 10);
+  } catch (error) {
+    if (error.code === 'ENOENT') return false;
+    throw error;
+  }
+
+  if (pid === process.pid) return lockedDirectories.has(directory);
+  if (!Number.isInteger(pid) || pid <= 0) return false;
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM: the process exists but belongs to another user
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Bounded directory of serialized export requests, oldest first
+ * Entries are listed from the directory on construction, so the queue survives restarts
+ * The directory is locked to one process until close(); a lock left by a process that is
+ * no longer running is taken over, along with the partial batches it left behind
+ */
+class DiskQueue {
+  #directory;
+  #maxSizeBytes;
+  #maxAgeMs;
+  #entries = [];
+  #bytes = 0;
+  #sequence = 0;
+
+  /**
+   * @param {Object} options - Queue options
+   * @param {string} options.directory - Queue directory (created if missing)
+   * @param {number} options.maxSizeBytes - Total size limit; the oldest batches are evicted first
+   * @param {number} options.maxAgeMs - Batches older than this are discarded
+   * @throws {Error} With code 'ELOCKED' when another process uses the directory
+   */
+  constructor({ directory, maxSizeBytes, maxAgeMs }) {
+    this.#directory = path.resolve(directory);
+    this.#maxSizeBytes = maxSizeBytes;
+    this.#maxAgeMs = maxAgeMs;
+
+    fs.mkdirSync(this.#directory, { recursive: true });
+    if (isLockHeld(this.#directory)) {
+      const error = new Error(`Persistent queue directory is in use by another process: ${this.#directory}`);
+      error.code = 'ELOCKED';
+      throw error;
+    }
+    fs.writeFileSync(path.join(this.#directory, LOCK_FILE), String(process.pid));
+    lockedDirectories.add(this.#directory);
+
+    const files = fs.readdirSync(this.#directory);
+    // Interrupted writes; no other process writes here while the lock is held
+    files.filter(file => file.endsWith(TEMP_SUFFIX))
+      .forEach(file => fs.rmSync(path.join(this.#directory, file), { force: true }));
+
+    this.#entries = files
+      .filter(file => BATCH_FILE_PATTERN.test(file))
+      .sort()
+      .map(file => {
+        const [, createdAt, sequence, items, extension] = file.match(BATCH_FILE_PATTERN);
+        this.#sequence = Math.max(this.#sequence, Number(sequence) + 1);
+        return {
+          file,
+          createdAt: Number(createdAt),
+          items: Number(items),
+          contentType: FORMAT_CONTENT_TYPES[extension],
+          bytes: fs.statSync(path.join(this.#directory, file)).size
+        };
+      });
+    this.#bytes = this.#entries.reduce((total, entry) => total + entry.bytes, 0);
+  }
+
+  /**
+   * Number of queued batches
+   * @returns {number}
+   */
+  get length() {
+    return this.#entries.length;
+  }
+
+  /**
+   * Total size of the queued batches
+   * @returns {number}
+   */
+  get bytes() {
+    return this.#bytes;
+  }
+
+  /**
+   * Oldest queued batch
+   * @returns {Object|undefined} Entry: { file, createdAt, items, contentType, bytes }
+   */
+  peek() {
+    return this.#entries[0];
+  }
+
+  /**
+   * Append a batch, evicting the oldest batches when the size limit would be exceeded
+   * @param {Uint8Array} body - Serialized export request (uncompressed)
+   * @param {number} items - Items in the batch
+   * @param {string} contentType - Content-Type of the request body
+   * @returns {Promise<Object>} { accepted, discarded } where discarded lists the evicted entries
+   */
+  async push(body, items, contentType) {
+    const extension = FORMAT_EXTENSIONS[contentType];
+    if (!extension) {
+      throw new Error(`Unsupported batch Content-Type: ${contentType}`);
+    }
+    if (body.length > this.#maxSizeBytes) {
+      return { accepted: false, discarded: [] };
+    }
+
+    const discarded = [];
+    while (this.#entries.length > 0 && this.#bytes + body.length > this.#maxSizeBytes) {
+      const oldest = this.#entries[0];
+      await this.remove(oldest);
+      discarded.push(oldest);
+    }
+
+    const createdAt = Date.now();
+    const sequence = this.#sequence++ % 1e9;
+    const file = `${String(createdAt).padStart(15, '0')}-${String(sequence).padStart(9, '0')}-${items}.${extension}`;
+    const filePath = path.join(this.#directory, file);
+
+    // Written under a temporary name first so a crash never leaves a truncated batch behind
+    await fs.promises.writeFile(`${filePath}${TEMP_SUFFIX}`, body);
+    await fs.promises.rename(`${filePath}${TEMP_SUFFIX}`, filePath);
+
+    this.#entries.push({ file, createdAt, items, contentType, bytes: body.length });
+    this.#bytes += body.length;
+    return { accepted: true, discarded };
+  }
+
+  /**
+   * Read a queued batch
+   * @param {Object} entry - Entry from peek()
+   * @returns {Promise<Buffer>} Serialized export request
+   */
+  read(entry) {
+    return fs.promises.readFile(path.join(this.#directory, entry.file));
+  }
+
+  /**
+   * Delete a queued batch
+   * @param {Object} entry - Entry from peek()
+   * @returns {Promise<void>}
+   */
+  async remove(entry) {
+    const index = this.#entries.indexOf(entry);
+    if (index === -1) return;
+
+    this.#entries.splice(index, 1);
+    this.#bytes -= entry.bytes;
+    await fs.promises.rm(path.join(this.#directory, entry.file), { force: true });
+  }
+
+  /**
+   * Delete the batches older than maxAgeMs
+   * @returns {Promise<Array<Object>>} Deleted entries
+   */
+  async purgeExpired() {
+    const cutoff = Date.now() - this.#maxAgeMs;
+    const expired = this.#entries.filter(entry => entry.createdAt < cutoff);
+
+    for (const entry of expired) {
+      await this.remove(entry);
+    }
+    return expired;
+  }
+
+  /**
+   * Release the directory lock; queued batches stay on disk
+   */
+  close() {
+    if (!lockedDirectories.delete(this.#directory)) return;
+    fs.rmSync(path.join(this.#directory, LOCK_FILE), { force: true });
+  }
+}
+
+/**
+ * Open the queue in directory, or in directory.1, directory.2, ... when other processes
+ * (e.g. cluster workers of the same service) hold the lock
+ * @param {Object} options - DiskQueue options
+ * @param {number} maxDirectories - Directories to try (default: 16)
+ * @returns {DiskQueue} Queue
+ * @throws {Error} With code 'ELOCKED' when every directory is in use
+ */
+function openDiskQueue(options, maxDirectories = 16) {
+  for (let index = 0; ; index++) {
+    try {
+      return new DiskQueue({ ...options, directory: index > 0 ? `${options.directory}.${index}` : options.directory });
+    } catch (error) {
+      if (error.code !== 'ELOCKED' || index + 1 >= maxDirectories) throw error;
+    }
+  }
+}
+
+/**
+ * Exporter wrapper that spills batches to a DiskQueue when the endpoint is unreachable or
+ * throttling, and replays them oldest first every replayIntervalMs until the queue is empty
+ * While batches are queued, new batches are queued behind them so the export order is kept
+ */
+class PersistentQueueExporter {
+  #exporter;
+  #transport;
+  #queue;
+  #signal;
+  #destination;
+  #statsKey;
+  #stats;
+  #replayIntervalMs;
+  #replayTimer = null;
+  #replaying = null;
+  #pending = new Set();
+  #isShutdown = false;
+
+  /**
+   * @param {Object} exporter - Exporter for live batches (RetryingExporter)
+   * @param {Object} options - Queue options
+   * @param {string} options.signal - 'traces', 'metrics' or 'logs'
+   * @param {string} options.destination - exporters entry name (stats are kept under '<signal>:<destination>')
+   * @param {Object} options.transport - Serializes batches and sends queued request bodies (serialize, send, contentType)
+   * @param {DiskQueue} options.queue - Batch storage
+   * @param {number} options.replayIntervalMs - Delay between replay attempts
+   * @param {ExportStats} options.stats - Outcome counters
+   */
+  constructor(exporter, { signal, destination, transport, queue, replayIntervalMs, stats }) {
+    this.#exporter = exporter;
+    this.#transport = transport;
+    this.#queue = queue;
+    this.#signal = signal;
+    this.#destination = destination;
+    this.#statsKey = destination ? `${signal}:${destination}` : signal;
+    this.#replayIntervalMs = replayIntervalMs;
+    this.#stats = stats;
+
+    if (typeof exporter.selectAggregationTemporality === 'function') {
+      this.selectAggregationTemporality = (instrumentType) => exporter.selectAggregationTemporality(instrumentType);
+    }
+    if (typeof exporter.selectAggregation === 'function') {
+      this.selectAggregation = (instrumentType) => exporter.selectAggregation(instrumentType);
+    }
+
+    this.#updateQueueSize();
+    if (queue.length > 0) {
+      logger.info('Found queued batches from a previous run', {
+        signal,
+        destination,
+        batches: queue.length,
+        bytes: queue.bytes
+      });
+      this.#scheduleReplay();
+    }
+  }
+
+  export(items, resultCallback) {
+    if (this.#queue.length > 0) {
+      this.#track(this.#spill(items).then(resultCallback));
+      return;
+    }
+
+    // Spilled batches are not reported as failed exports; the replay reports them
+    this.#exporter.export(items, resultCallback, { fallback: (error) => this.#spill(items, error) });
+  }
+
+  /**
+   * Track an operation so forceFlush and shutdown wait for it
+   * @param {Promise} operation - Operation
+   */
+  #track(operation) {
+    const tracked = operation.finally(() => this.#pending.delete(tracked));
+    this.#pending.add(tracked);
+  }
+
+  /**
+   * Write a batch to the queue
+   * @param {Array|Object} items - Batch
+   * @param {Error} error - Export error that caused the spill, if any
+   * @returns {Promise<Object>} Export result: SUCCESS once the batch is on disk
+   */
+  async #spill(items, error) {
+    const count = countItems(this.#signal, items);
+
+    try {
+      const { accepted, discarded } = await this.#queue.push(this.#transport.serialize(items), count, this.#transport.contentType);
+      this.#discard(discarded, 'queue size limit reached');
+
+      if (!accepted) {
+        this.#stats.recordQueueEvent(this.#statsKey, 'discarded', count);
+        logger.warn('Batch exceeds the persistent queue size limit, dropping it', {
+          signal: this.#signal,
+          destination: this.#destination,
+          count
+        });
+        return { code: EXPORT_FAILED, error: error || new Error('Batch exceeds persistentQueue.maxSizeBytes') };
+      }
+
+      this.#stats.recordQueueEvent(this.#statsKey, 'queued', count);
+      logger[error ? 'warn' : 'debug']('Queued batch on disk for replay', {
+        signal: this.#signal,
+        destination: this.#destination,
+        count,
+        batches: this.#queue.length,
+        ...(error && { error: error.message })
+      });
+      this.#scheduleReplay();
+      return { code: EXPORT_SUCCESS };
+    } catch (writeError) {
+      logger.error('Failed to queue batch on disk', {
+        signal: this.#signal,
+        destination: this.#destination,
+        count,
+        error: writeError.message
+      });
+      return { code: EXPORT_FAILED, error: error || writeError };
+    } finally {
+      this.#updateQueueSize();
+    }
+  }
+
+  /**
+   * Record discarded entries
+   * @param {Array<Object>} entries - Discarded queue entries
+   * @param {string} reason - Reason for the log message
+   */
+  #discard(entries, reason) {
+    if (entries.length === 0) return;
+
+    entries.forEach(entry => this.#stats.recordQueueEvent(this.#statsKey, 'discarded', entry.items));
+    logger.warn('Discarded queued batches', {
+      signal: this.#signal,
+      destination: this.#destination,
+      reason,
+      batches: entries.length,
+      items: entries.reduce((total, entry) => total + entry.items, 0)
+    });
+  }
+
+  #updateQueueSize() {
+    this.#stats.setQueueSize(this.#statsKey, { depth: this.#queue.length, bytes: this.#queue.bytes });
+  }
+
+  #scheduleReplay() {
+    if (this.#replayTimer || this.#isShutdown) return;
+
+    this.#replayTimer = setInterval(() => this.#replay(), this.#replayIntervalMs);
+    this.#replayTimer.unref();
+  }
+
+  /**
+   * Send queued batches oldest first until the queue is empty or the endpoint fails again
+   * @returns {Promise<void>}
+   */
+  #replay() {
+    if (this.#replaying) return this.#replaying;
+
+    this.#replaying = (async () => {
+      this.#discard(await this.#queue.purgeExpired(), 'older than persistentQueue.maxAgeMs');
+
+      let replayed = 0;
+      for (let entry = this.#queue.peek(); entry; entry = this.#queue.peek()) {
+        try {
+          await this.#transport.send(await this.#queue.read(entry), { contentType: entry.contentType });
+        } catch (error) {
+          if (isRetryableError(error) || KEEP_ON_STATUS_CODES.includes(error.code)) {
+            logger.debug('Endpoint still unavailable, keeping queued batches', {
+              signal: this.#signal,
+              destination: this.#destination,
+              batches: this.#queue.length,
+              error: error.message
+            });
+            break;
+          }
+
+          await this.#queue.remove(entry);
+          this.#discard([entry], `rejected: ${error.message}`);
+          continue;
+        }
+
+        await this.#queue.remove(entry);
+        this.#stats.recordQueueEvent(this.#statsKey, 'replayed', entry.items);
+        replayed++;
+      }
+
+      if (replayed > 0) {
+        logger.info('Replayed queued batches', {
+          signal: this.#signal,
+          destination: this.#destination,
+          batches: replayed,
+          remaining: this.#queue.length
+        });
+      }
+      if (this.#queue.length === 0) {
+        clearInterval(this.#replayTimer);
+        this.#replayTimer = null;
+      }
+    })()
+      .catch(error => logger.error('Failed to replay queued batches', {
+        signal: this.#signal,
+        destination: this.#destination,
+        error: error.message
+      }))
+      .finally(() => {
+        this.#replaying = null;
+        this.#updateQueueSize();
+      });
+
+    return this.#replaying;
+  }
+
+  async forceFlush() {
+    await Promise.all(Array.from(this.#pending));
+    return this.#exporter.forceFlush();
+  }
+
+  /**
+   * Stop replaying; queued batches stay on disk for the next start
+   */
+  async shutdown() {
+    this.#isShutdown = true;
+    clearInterval(this.#replayTimer);
+    this.#replayTimer = null;
+    await this.#replaying;
+    await Promise.all(Array.from(this.#pending));
+    try {
+      return await this.#exporter.shutdown();
+    } finally {
+      this.#queue.close();
+    }
+  }
+}
+
+// CommonJS exports
+module.exports = {
+  DiskQueue,
+  PersistentQueueExporter,
+  openDiskQueue
+};
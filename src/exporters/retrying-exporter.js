@@ -0,0 +1,244 @@
+// src/exporters/retrying-exporter.js - Export Retries with Backoff (CommonJS)
+
+const { EXPORT_SUCCESS } = require('./otlp-http-exporter.js');
+const { createLogger } = require('../utils/logger.js');
+
+const logger = createLogger('exporter');
+
+/**
+ * HTTP statuses worth retrying (throttling and transient gateway errors)
+ * Everything else, notably 400, 401 and 403, fails immediately
+ */
+const RETRYABLE_STATUS_CODES = [429, 502, 503, 504];
+
+/**
+ * Network error codes worth retrying
+ */
+const RETRYABLE_ERROR_CODES = [
+  'ECONNREFUSED',
+  'ECONNRESET',
+  'ECONNABORTED',
+  'ETIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN',
+  'EHOSTUNREACH',
+  'ENETUNREACH'
+];
+
+/**
+ * Check whether a failed export may succeed when sent again
+ * @param {Error} error - Export error
+ * @returns {boolean} True for retryable HTTP statuses and network errors
+ */
+function isRetryableError(error) {
+  if (!error) return false;
+  if (typeof error.code === 'number') return RETRYABLE_STATUS_CODES.includes(error.code);
+  return RETRYABLE_ERROR_CODES.includes(error.code);
+}
+
+/**
+ * Backoff before a retry: exponential from initialDelayMillis, capped at maxDelayMillis,
+ * with the upper half jittered so clients throttled together do not retry together
+ * @param {number} retry - Retry number (1 for the first retry)
+ * @param {Object} retryConfig - { initialDelayMillis, maxDelayMillis }
+ * @returns {number} Delay in milliseconds
+ */
+function computeBackoff(retry, { initialDelayMillis, maxDelayMillis }) {
+  const delay = Math.min(maxDelayMillis, initialDelayMillis * 2 ** (retry - 1));
+  return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
+/**
+ * Count the items of an export batch
+ * @param {string} signal - 'traces', 'metrics' or 'logs'
+ * @param {Array|Object} items - Spans, ResourceMetrics or log records
+ * @returns {number} Spans, metric data points or log records
+ */
+function countItems(signal, items) {
+  if (signal !== 'metrics') return items.length;
+
+  return (items.scopeMetrics || []).reduce((count, scope) => (
+    count + scope.metrics.reduce((points, metric) => points + metric.dataPoints.length, 0)
+  ), 0);
+}
+
+/**
+ * Exporter wrapper that retries throttled and transiently failing exports as configured by
+ * retryConfig, honoring Retry-After, and reports every final outcome to the logger and ExportStats
+ * Retries stop once the next attempt would start after deadlineMs (the signal's export timeout),
+ * and each attempt is given the time left before the deadline as its request timeout
+ */
+class RetryingExporter {
+  #exporter;
+  #signal;
+  #destination;
+  #statsKey;
+  #url;
+  #retryConfig;
+  #deadlineMs;
+  #stats;
+  #waits = new Set();
+  #pending = new Set();
+  #isShuttingDown = false;
+
+  /**
+   * @param {Object} exporter - Span, metric or log exporter sending each batch once
+   * @param {Object} options - Retry options
+   * @param {string} options.signal - 'traces', 'metrics' or 'logs'
+   * @param {string} options.destination - exporters entry name (stats are kept under '<signal>:<destination>')
+   * @param {string} options.url - Endpoint, for log messages
+   * @param {Object} options.retryConfig - { enabled, initialDelayMillis, maxDelayMillis, maxAttempts }
+   * @param {number} options.deadlineMs - Give up retrying after this many milliseconds
+   * @param {ExportStats} options.stats - Outcome counters
+   */
+  constructor(exporter, { signal, destination, url, retryConfig, deadlineMs, stats }) {
+    this.#exporter = exporter;
+    this.#signal = signal;
+    this.#destination = destination;
+    this.#statsKey = destination ? `${signal}:${destination}` : signal;
+    this.#url = url;
+    this.#retryConfig = retryConfig;
+    this.#deadlineMs = deadlineMs;
+    this.#stats = stats;
+
+    if (typeof exporter.selectAggregationTemporality === 'function') {
+      this.selectAggregationTemporality = (instrumentType) => exporter.selectAggregationTemporality(instrumentType);
+    }
+    if (typeof exporter.selectAggregation === 'function') {
+      this.selectAggregation = (instrumentType) => exporter.selectAggregation(instrumentType);
+    }
+  }
+
+  /**
+   * Export a batch with retries and report the final outcome
+   * @param {Array|Object} items - Batch
+   * @param {Function} resultCallback - Called with { code, error }
+   * @param {Object} options - Export options
+   * @param {Function} options.fallback - (error) => Promise<result> for batches still failing with a
+   *   retryable error (e.g. the disk queue); a successful fallback is not reported as an export
+   */
+  export(items, resultCallback, { fallback } = {}) {
+    const count = countItems(this.#signal, items);
+    logger.debug('Exporting', { signal: this.#signal, destination: this.#destination, count });
+
+    const request = this.#exportWithRetries(items).then(async (outcome) => {
+      const { result, attempts, latencyMs } = outcome;
+      if (result.code === EXPORT_SUCCESS || !fallback || !isRetryableError(result.error)) {
+        return outcome;
+      }
+
+      const fallbackResult = await fallback(result.error);
+      if (fallbackResult.code === EXPORT_SUCCESS) {
+        logger.debug('Export deferred', { signal: this.#signal, destination: this.#destination, count, attempts });
+        return { result: fallbackResult, deferred: true };
+      }
+      return { result: fallbackResult, attempts, latencyMs };
+    }).then(({ result, attempts, latencyMs, deferred }) => {
+      if (deferred) {
+        resultCallback(result);
+        return;
+      }
+
+      const success = result.code === EXPORT_SUCCESS;
+      this.#stats.recordExport(this.#statsKey, { success, items: count, latencyMs, error: result.error });
+
+      if (!success) {
+        logger.error('Export failed', {
+          signal: this.#signal,
+          destination: this.#destination,
+          count,
+          attempts,
+          error: result.error,
+          url: this.#url
+        });
+      } else if (attempts > 1) {
+        logger.info('Export succeeded after retrying', { signal: this.#signal, destination: this.#destination, count, attempts });
+      } else {
+        logger.debug('Exported', { signal: this.#signal, destination: this.#destination, count });
+      }
+
+      resultCallback(result);
+    }).finally(() => this.#pending.delete(request));
+    this.#pending.add(request);
+  }
+
+  /**
+   * Send a batch until it succeeds, fails permanently or runs out of attempts or time
+   * @param {Array|Object} items - Batch
+   * @returns {Promise<Object>} { result, attempts, latencyMs }
+   */
+  async #exportWithRetries(items) {
+    const { enabled, maxAttempts } = this.#retryConfig;
+    const attemptLimit = enabled ? maxAttempts : 1;
+    const startTime = Date.now();
+
+    for (let attempt = 1; ; attempt++) {
+      // At least 1ms: a zero timeout would disable the request timeout
+      const timeoutMs = Math.max(1, this.#deadlineMs - (Date.now() - startTime));
+      const result = await new Promise(resolve => this.#exporter.export(items, resolve, { timeoutMs }));
+      const elapsedMs = Date.now() - startTime;
+
+      if (result.code === EXPORT_SUCCESS || !isRetryableError(result.error)
+        || attempt >= attemptLimit || this.#isShuttingDown) {
+        return { result, attempts: attempt, latencyMs: elapsedMs };
+      }
+
+      const { retryAfterMs } = result.error;
+      const delayMs = typeof retryAfterMs === 'number' ? retryAfterMs : computeBackoff(attempt, this.#retryConfig);
+      if (elapsedMs + delayMs >= this.#deadlineMs) {
+        logger.debug('Not retrying export past its deadline', { signal: this.#signal, delayMs });
+        return { result, attempts: attempt, latencyMs: elapsedMs };
+      }
+
+      logger.debug('Retrying export', {
+        signal: this.#signal,
+        attempt,
+        delayMs,
+        code: result.error.code
+      });
+      this.#stats.recordRetry(this.#statsKey);
+      await this.#wait(delayMs);
+    }
+  }
+
+  /**
+   * Wait before a retry; shutdown ends the wait early for one last attempt
+   * @param {number} delayMs - Delay
+   * @returns {Promise<void>}
+   */
+  #wait(delayMs) {
+    return new Promise(resolve => {
+      const wait = {
+        timer: setTimeout(() => wait.resolve(), delayMs),
+        resolve: () => {
+          clearTimeout(wait.timer);
+          this.#waits.delete(wait);
+          resolve();
+        }
+      };
+      wait.timer.unref();
+      this.#waits.add(wait);
+    });
+  }
+
+  forceFlush() {
+    return Promise.all(Array.from(this.#pending))
+      .then(() => (typeof this.#exporter.forceFlush === 'function' ? this.#exporter.forceFlush() : undefined));
+  }
+
+  async shutdown() {
+    this.#isShuttingDown = true;
+    Array.from(this.#waits).forEach(wait => wait.resolve());
+    await Promise.all(Array.from(this.#pending));
+    return this.#exporter.shutdown();
+  }
+}
+
+// CommonJS exports
+module.exports = {
+  RETRYABLE_STATUS_CODES,
+  isRetryableError,
+  computeBackoff,
+  countItems,
+  RetryingExporter
+};
@@ -0,0 +1,93 @@
+// src/exporters/token-refreshing-exporter.js - Exporter Rebuilt on API Token Rotation (CommonJS)
+
+const { createLogger } = require('../utils/logger.js');
+
+const logger = createLogger('exporter');
+
+/**
+ * Exporter wrapper that rebuilds the inner OTLP exporter whenever the API token rotates
+ * OTLP HTTP exporters copy their headers at construction, so a new token needs a new exporter.
+ * Works for span, metric and log exporters.
+ */
+class TokenRefreshingExporter {
+  #createExporter;
+  #tokenManager;
+  #exporter;
+
+  /**
+   * @param {Function} createExporter - (token) => exporter
+   * @param {ApiTokenManager} tokenManager - Token source
+   */
+  constructor(createExporter, tokenManager) {
+    this.#createExporter = createExporter;
+    this.#tokenManager = tokenManager;
+    this.#exporter = createExporter(tokenManager.getToken());
+
+    tokenManager.onRotate((token) => {
+      const previous = this.#exporter;
+      this.#exporter = this.#createExporter(token);
+
+      // Lets in-flight requests of the old exporter finish
+      previous.shutdown().catch(error => logger.debug('Failed to shut down replaced exporter', { error }));
+    });
+
+    // Metric exporters choose temporality and aggregation; the reader binds these at construction
+    if (typeof this.#exporter.selectAggregationTemporality === 'function') {
+      this.selectAggregationTemporality = (instrumentType) => this.#exporter.selectAggregationTemporality(instrumentType);
+    }
+    if (typeof this.#exporter.selectAggregation === 'function') {
+      this.selectAggregation = (instrumentType) => this.#exporter.selectAggregation(instrumentType);
+    }
+  }
+
+  export(items, resultCallback, options) {
+    if (this.#tokenManager.isReady) {
+      this.#exporter.export(items, resultCallback, options);
+      return;
+    }
+    this.#tokenManager.ready.then(() => this.#exporter.export(items, resultCallback, options));
+  }
+
+  /**
+   * Serialize a batch with the current exporter (OtlpHttpExporter only)
+   * @param {Array|Object} items - Batch
+   * @returns {Uint8Array} Request body
+   */
+  serialize(items) {
+    return this.#exporter.serialize(items);
+  }
+
+  /**
+   * Content-Type of the bodies serialize() returns (OtlpHttpExporter only)
+   * @returns {string}
+   */
+  get contentType() {
+    return this.#exporter.contentType;
+  }
+
+  /**
+   * Send a serialized request body with the current token (OtlpHttpExporter only)
+   * @param {Uint8Array} body - Request body
+   * @param {Object} options - Request options (timeoutMs, contentType)
+   * @returns {Promise<void>}
+   */
+  send(body, options) {
+    if (this.#tokenManager.isReady) {
+      return this.#exporter.send(body, options);
+    }
+    return this.#tokenManager.ready.then(() => this.#exporter.send(body, options));
+  }
+
+  forceFlush() {
+    return typeof this.#exporter.forceFlush === 'function' ? this.#exporter.forceFlush() : Promise.resolve();
+  }
+
+  shutdown() {
+    return this.#exporter.shutdown();
+  }
+}
+
+// CommonJS exports
+module.exports = {
+  TokenRefreshingExporter
+};
@@ -0,0 +1,209 @@
+// src/helpers/log-tracer.js - Log Correlation and OTLP Log Forwarding (CommonJS)
+
+const { format } = require('util');
+const { trace } = require('@opentelemetry/api');
+const { logs, SeverityNumber } = require('@opentelemetry/api-logs');
+
+/**
+ * OTLP severity for each logger level name
+ */
+const SEVERITY_BY_LEVEL = {
+  trace: SeverityNumber.TRACE,
+  debug: SeverityNumber.DEBUG,
+  verbose: SeverityNumber.DEBUG,
+  http: SeverityNumber.INFO,
+  info: SeverityNumber.INFO,
+  warn: SeverityNumber.WARN,
+  error: SeverityNumber.ERROR,
+  fatal: SeverityNumber.FATAL
+};
+
+/**
+ * Pino numeric levels mapped to level names
+ */
+const PINO_LEVELS = {
+  10: 'trace',
+  20: 'debug',
+  30: 'info',
+  40: 'warn',
+  50: 'error',
+  60: 'fatal'
+};
+
+/**
+ * Check whether a record at the given level passes the configured logLevel
+ * @param {string} level - Record level name
+ * @param {string} logLevel - Configured ODN logLevel
+ * @returns {boolean} True if the record should be forwarded
+ */
+function isLevelEnabled(level, logLevel = 'info') {
+  if (logLevel === 'silent') return false;
+
+  const severity = SEVERITY_BY_LEVEL[level] || SeverityNumber.INFO;
+  const threshold = SEVERITY_BY_LEVEL[logLevel] || SeverityNumber.INFO;
+  return severity >= threshold;
+}
+
+/**
+ * Get trace correlation fields from the active span
+ * @param {string} serviceName - Service name to include
+ * @returns {Object} { trace_id, span_id, trace_flags, 'service.name' } (ids omitted without active span)
+ */
+function getTraceContext(serviceName) {
+  const fields = {};
+  const span = trace.getActiveSpan();
+
+  if (span) {
+    const spanContext = span.spanContext();
+    fields.trace_id = spanContext.traceId;
+    fields.span_id = spanContext.spanId;
+    fields.trace_flags = `0${spanContext.traceFlags.toString(16)}`;
+  }
+
+  if (serviceName) {
+    fields['service.name'] = serviceName;
+  }
+
+  return fields;
+}
+
+/**
+ * Convert a value into a valid OTLP log attribute value
+ * @param {*} value - Attribute value
+ * @returns {*} Primitive value or JSON string
+ */
+function toAttributeValue(value) {
+  if (value === null || value === undefined) return undefined;
+  if (['string', 'number', 'boolean'].includes(typeof value)) return value;
+  if (value instanceof Error) return value.message;
+
+  try {
+    return JSON.stringify(value);
+  } catch (e) {
+    return String(value);
+  }
+}
+
+/**
+ * Emit a log record through the global OpenTelemetry logger provider
+ * The record is correlated with the active span automatically
+ * @param {Object} record - Log record
+ * @param {string} record.level - Level name (debug, info, warn, error, ...)
+ * @param {string} record.message - Log message
+ * @param {Object} record.attributes - Additional attributes
+ * @param {string} record.loggerName - Instrumentation scope name (default: 'odn-log-tracer')
+ */
+function emitLogRecord({ level = 'info', message = '', attributes = {}, loggerName = 'odn-log-tracer' }) {
+  const logAttributes = {};
+
+  Object.entries(attributes).forEach(([key, value]) => {
+    const attributeValue = toAttributeValue(value);
+    if (attributeValue !== undefined) {
+      logAttributes[key] = attributeValue;
+    }
+  });
+
+  logs.getLogger(loggerName).emit({
+    severityNumber: SEVERITY_BY_LEVEL[level] || SeverityNumber.INFO,
+    severityText: level.toUpperCase(),
+    body: message,
+    attributes: logAttributes
+  });
+}
+
+/**
+ * Resolve the logLevel option of a log integration
+ * @param {string|Function} logLevel - Level, or a function returning the current level
+ * @returns {string} Level (default: 'info')
+ */
+function resolveLogLevel(logLevel) {
+  return (typeof logLevel === 'function' ? logLevel() : logLevel) || 'info';
+}
+
+/**
+ * Create pino options that inject trace context and forward records as OTLP logs
+ * Usage: pino({ ...createPinoOptions({ serviceName, logLevel }), ...yourOptions })
+ * @param {Object} options - Integration options
+ * @param {string} options.serviceName - Service name injected as service.name
+ * @param {string|Function} options.logLevel - Minimum level forwarded to Dynatrace, or a function
+ *   returning it for each record (default: 'info')
+ * @param {boolean} options.forward - Forward records as OTLP logs (default: true)
+ * @returns {Object} pino options ({ mixin, hooks })
+ */
+function createPinoOptions(options = {}) {
+  const { serviceName, logLevel, forward = true } = options;
+
+  return {
+    mixin() {
+      return getTraceContext(serviceName);
+    },
+    hooks: {
+      logMethod(args, method, level) {
+        const levelName = PINO_LEVELS[level] || 'info';
+
+        if (forward && isLevelEnabled(levelName, resolveLogLevel(logLevel))) {
+          const [first, ...rest] = args;
+          const hasObject = first !== null && typeof first === 'object';
+          const fields = first instanceof Error ? { err: first } : (hasObject ? first : {});
+          const messageArgs = hasObject ? rest : args;
+
+          emitLogRecord({
+            level: levelName,
+            message: messageArgs.length > 0 ? format(...messageArgs) : (fields.msg || ''),
+            attributes: { ...fields, ...getTraceContext(serviceName) },
+            loggerName: 'pino'
+          });
+        }
+
+        return method.apply(this, args);
+      }
+    }
+  };
+}
+
+/**
+ * Create a winston format that injects trace context and forwards records as OTLP logs
+ * Usage: winston.createLogger({ format: winston.format.combine(createWinstonFormat(winston, {...}), winston.format.json()) })
+ * @param {Object} winston - winston module
+ * @param {Object} options - Integration options
+ * @param {string} options.serviceName - Service name injected as service.name
+ * @param {string|Function} options.logLevel - Minimum level forwarded to Dynatrace, or a function
+ *   returning it for each record (default: 'info')
+ * @param {boolean} options.forward - Forward records as OTLP logs (default: true)
+ * @returns {Object} winston format instance
+ */
+function createWinstonFormat(winston, options = {}) {
+  if (!winston || !winston.format) {
+    throw new Error('winston module is required for createWinstonFormat');
+  }
+
+  const { serviceName, logLevel, forward = true } = options;
+
+  const odnFormat = winston.format((info) => {
+    Object.assign(info, getTraceContext(serviceName));
+
+    if (forward && isLevelEnabled(info.level, resolveLogLevel(logLevel))) {
+      const { level, message, ...fields } = info;
+
+      emitLogRecord({
+        level,
+        message: typeof message === 'string' ? message : format(message),
+        attributes: fields,
+        loggerName: 'winston'
+      });
+    }
+
+    return info;
+  });
+
+  return odnFormat();
+}
+
+// CommonJS exports
+module.exports = {
+  isLevelEnabled,
+  getTraceContext,
+  emitLogRecord,
+  createPinoOptions,
+  createWinstonFormat
+};
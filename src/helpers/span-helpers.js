@@ -23,6 +23,7 @@ function addBusinessContext(span, context = {}) {
  * @param {Span} span - OpenTelemetry span
  * @param {Error} error - Error object
  * @param {Object} options - Additional error context
+ * @param {boolean} options.includeStackTrace - Add error.stack_preview (default: true)
  */
 function addErrorDetails(span, error, options = {}) {
   if (!span || !error) return;
@@ -43,7 +44,7 @@ function addErrorDetails(span, error, options = {}) {
   span.setAttribute('error.timestamp', Date.now());
   
   // Add stack trace (first few lines for readability)
-  if (error.stack) {
+  if (error.stack && options.includeStackTrace !== false) {
     const stackLines = error.stack.split('\n').slice(0, 5).join('\n');
     span.setAttribute('error.stack_preview', stackLines);
   }
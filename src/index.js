@@ -1,120 +1,325 @@
 // src/index.js - Fixed OTLP Endpoint Configuration
 
-const { NodeSDK } = require('@opentelemetry/sdk-node');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  NodeSDK,
+  metrics: sdkMetrics,
+  logs: sdkLogs,
+  tracing: sdkTracing,
+  resources: { Resource }
+} = require('@opentelemetry/sdk-node');
 const { getNodeAutoInstrumentations } = require('@opentelemetry/auto-instrumentations-node');
-const { OTLPTraceExporter } = require('@opentelemetry/exporter-trace-otlp-http');
-const { Resource } = require('@opentelemetry/resources');
 const { SemanticResourceAttributes } = require('@opentelemetry/semantic-conventions');
-const { BatchSpanProcessor } = require('@opentelemetry/sdk-trace-base');
-const { trace, context, SpanStatusCode } = require('@opentelemetry/api');
+const { metrics } = require('@opentelemetry/api');
+const { version } = require('../package.json');
 
 // Import utilities and helpers
-const { createConfig, getConfigSummary } = require('./utils/config.js');
+const {
+  DynatraceConfig,
+  createConfig,
+  assertValidConfig,
+  redactConfigSecrets,
+  deepMerge,
+  getConfigSummary,
+  createServiceConfig,
+  registerServiceTemplate,
+  describeTemplate,
+  quickConfigs
+} = require('./configs/dynatrace-config.js');
+const { isRuntimeUpdatable, planConfigUpdate, getPath, setPath } = require('./configs/runtime-config.js');
+const { resolveEndpoints, resolveExporterUrl } = require('./configs/endpoint-resolver.js');
+const { compileRoutePatterns, matchesRoute } = require('./utils/route-patterns.js');
 const { DynatraceTracer } = require('./tracer.js');
+const { RuleBasedSampler, createSampler } = require('./sampling/rule-based-sampler.js');
+const { CountingSampler } = require('./sampling/counting-sampler.js');
+const { TailSamplingSpanProcessor } = require('./processors/tail-sampling-processor.js');
+const { FanOutSpanProcessor } = require('./processors/fan-out-span-processor.js');
+const { MonitoredBatchSpanProcessor } = require('./processors/monitored-batch-span-processor.js');
+const { detectResource } = require('./resources/resource-detectors.js');
+const { createLogger, configureLogger, deferLogs, flushDeferredLogs } = require('./utils/logger.js');
+const { ApiTokenManager } = require('./utils/api-token.js');
+const { ExportStats } = require('./utils/export-stats.js');
+const { registerSelfMetrics } = require('./utils/self-metrics.js');
+const { TokenRefreshingExporter } = require('./exporters/token-refreshing-exporter.js');
+const { OtlpHttpExporter } = require('./exporters/otlp-http-exporter.js');
+const { RetryingExporter } = require('./exporters/retrying-exporter.js');
+const { PersistentQueueExporter, openDiskQueue } = require('./exporters/persistent-queue-exporter.js');
+const { FileSpanExporter } = require('./exporters/file-span-exporter.js');
+const { AttributeFilterExporter } = require('./exporters/attribute-filter-exporter.js');
 
 // Import helpers and middleware - Fixed to CommonJS
 const spanHelpers = require('./helpers/span-helpers.js');
 const httpTracer = require('./helpers/http-tracer.js');
 const databaseTracer = require('./helpers/database-tracer.js');
+const logTracer = require('./helpers/log-tracer.js');
+const { createExpressMiddleware, createErrorMiddleware } = require('./middleware/express-middleware.js');
+const { createBusinessContextMiddleware } = require('./middleware/business-context-middleware.js');
+
+const logger = createLogger('sdk');
+
+const CONFIG_WATCH_INTERVAL_MS = 2000;
+
+/**
+ * Map a failed export to a connectivity report reason
+ * @param {number|null} httpStatus - HTTP status of the failed export
+ * @param {Error} error - Export error
+ * @returns {string} Failure reason
+ */
+function classifyExportFailure(httpStatus, error) {
+  if (httpStatus === 401 || httpStatus === 403) return 'auth_failed';
+  if (httpStatus === 404 || httpStatus === 405) return 'wrong_endpoint';
+  if (httpStatus === 429) return 'throttled';
+  if (httpStatus >= 500) return 'server_error';
+  if (httpStatus >= 400) return 'rejected';
+  if (error.message === 'Request Timeout') return 'timeout';
+  return 'network_error';
+}
+
+/**
+ * Compile the ignore lists of each instrumentation into matchers
+ * @param {Object} instrumentations - Settings keyed by short name
+ * @returns {Object} { incomingPaths, outgoingHosts, layers } keyed by short name
+ */
+function compileIgnoreMatchers(instrumentations = {}) {
+  return Object.fromEntries(Object.entries(instrumentations).map(([name, settings = {}]) => [name, {
+    incomingPaths: compileRoutePatterns(settings.ignoreIncomingPaths || []),
+    outgoingHosts: settings.ignoreOutgoingHosts || [],
+    // Layer names are function names (e.g. 'corsMiddleware'), so plain strings match by substring
+    layers: (settings.ignoreLayers || []).map(layer => {
+      if (typeof layer === 'string') return (layerName) => layerName.toLowerCase().includes(layer.toLowerCase());
+      if (layer instanceof RegExp) return (layerName) => layer.test(layerName);
+      return layer;
+    })
+  }]));
+}
+
+/**
+ * Build getNodeAutoInstrumentations options from the instrumentations config
+ * Ignore hooks look up the current matchers on every call, so the ignore lists
+ * configured at startup can be changed at runtime
+ * @param {Object} instrumentations - Settings keyed by short name (e.g. { http: { enabled, ignoreIncomingPaths } })
+ * @param {Function} getIgnoreMatchers - Returns the current compileIgnoreMatchers() result
+ * @returns {Object} Options keyed by instrumentation package name
+ */
+function createInstrumentationOptions(instrumentations = {}, getIgnoreMatchers) {
+  return Object.entries(instrumentations).reduce((options, [name, settings]) => {
+    const { ignoreIncomingPaths, ignoreOutgoingHosts, ignoreLayers, ...packageOptions } = settings;
+    const getMatchers = () => getIgnoreMatchers()[name] || { incomingPaths: [], outgoingHosts: [], layers: [] };
+
+    if (ignoreIncomingPaths) {
+      const userHook = packageOptions.ignoreIncomingRequestHook;
+      packageOptions.ignoreIncomingRequestHook = (req) =>
+        matchesRoute((req.url || '/').split('?')[0], getMatchers().incomingPaths) || Boolean(userHook && userHook(req));
+    }
+
+    if (ignoreOutgoingHosts) {
+      const userHook = packageOptions.ignoreOutgoingRequestHook;
+      packageOptions.ignoreOutgoingRequestHook = (req) => {
+        const host = req.hostname || req.host || '';
+        return getMatchers().outgoingHosts.some(ignored => host.includes(ignored)) || Boolean(userHook && userHook(req));
+      };
+    }
+
+    if (ignoreLayers) {
+      packageOptions.ignoreLayers = [(layerName) => getMatchers().layers.some(matcher => matcher(layerName))];
+    }
+
+    options[`@opentelemetry/instrumentation-${name}`] = packageOptions;
+    return options;
+  }, {});
+}
+
+/**
+ * Build the headers sent by every OTLP exporter
+ * The API token takes precedence over an Authorization entry in exportHeaders
+ * @param {Object} config - Configuration
+ * @param {string|null} token - Current API token
+ * @returns {Object} HTTP headers
+ */
+function createExportHeaders(config, token) {
+  return {
+    ...config.exportHeaders,
+    ...(token && { Authorization: `Api-Token ${token}` })
+  };
+}
+
+/**
+ * Drop unset limits so the SDK defaults apply
+ * @param {Object} spanLimits - Configured span limits
+ * @returns {Object} SpanLimits for the tracer provider
+ */
+function createSpanLimits(spanLimits = {}) {
+  return Object.fromEntries(Object.entries(spanLimits).filter(([, value]) => value !== null && value !== undefined));
+}
 
 /**
  * Main OtelDynatrace class
  */
 class OtelDynatrace {
   #sdk;
+  #spanProcessor;
+  #metricReader;
+  #logRecordProcessor;
   #tracer;
+  #probeTargets = [];
+  #tokenManager;
+  #exportStats = new ExportStats();
+  #otlpTraceUrl;
+  #resource;
   #config;
+  #configSource;
+  #configSources;
+  #rootSampler;
+  #ignoreMatchers = {};
+  #ignoreHooks = new Set();
+  #runtimeOverrides = {};
+  #configWatchListener = null;
   #initialized = false;
 
+  /**
+   * @param {Object|DynatraceConfig} configOptions - Configuration object, or a DynatraceConfig
+   *   from createServiceConfig / quickConfigs
+   */
   constructor(configOptions = {}) {
-    this.#config = createConfig(configOptions);
+    // Warnings raised while the configuration is built follow its logLevel, logFormat and logSink
+    deferLogs();
+    try {
+      const dynatraceConfig = configOptions instanceof DynatraceConfig ? configOptions : new DynatraceConfig(configOptions);
+      this.#config = createConfig(dynatraceConfig);
+      this.#configSource = dynatraceConfig.userConfig;
+      this.#configSources = { ...dynatraceConfig.sources };
+      configureLogger(this.#config);
+    } catch (error) {
+      configureLogger({ ...(configOptions instanceof DynatraceConfig ? configOptions.userConfig : configOptions) });
+      throw error;
+    } finally {
+      flushDeferredLogs();
+    }
     this.#initializeSDK();
   }
 
   #initializeSDK() {
-    // Create resource with service information
-    const resource = new Resource({
+    // Create resource with service information and customAttributes on top of the detected
+    // host, container, Kubernetes and Dynatrace entity attributes
+    const resource = detectResource(this.#config.resourceDetectors).merge(new Resource({
+      ...this.#config.customAttributes,
       [SemanticResourceAttributes.SERVICE_NAME]: this.#config.serviceName,
       [SemanticResourceAttributes.SERVICE_VERSION]: this.#config.serviceVersion,
       [SemanticResourceAttributes.DEPLOYMENT_ENVIRONMENT]: this.#config.deploymentEnvironment,
-    });
+    }));
+    this.#resource = resource;
 
-    // ✅ FIXED: Correct OTLP endpoint URL construction
-    const otlpTraceUrl = `${this.#config.dtApiUrl}/v1/traces`;
+    // Environment IDs, tenant, Managed and ActiveGate URLs are normalized to the OTLP signal URLs
+    const endpoints = resolveEndpoints(this.#config);
+    const otlpTraceUrl = endpoints.traces;
+    
+    // Exporters are rebuilt with fresh headers whenever the token rotates
+    this.#tokenManager = new ApiTokenManager(this.#config);
     
     // Create trace exporter for Dynatrace
-    const traceExporter = new OTLPTraceExporter({
-      url: otlpTraceUrl,
-      headers: { 
-        Authorization: `Api-Token ${this.#config.dtApiToken}`,
-        // ✅ REMOVED: Let the library handle Content-Type automatically
-      },
+    const traceExporter = this.#createOtlpExporter('traces', otlpTraceUrl);
+
+    logger.debug('Initializing OpenTelemetry SDK', {
+      service: this.#config.serviceName,
+      environment: this.#config.deploymentEnvironment,
+      tracesUrl: otlpTraceUrl,
+      protocol: this.#config.protocol,
+      compression: this.#config.compression,
+      metricsUrl: this.#config.metrics.enabled ? endpoints.metrics : 'disabled',
+      logsUrl: this.#config.logs.enabled ? endpoints.logs : 'disabled',
+      exporters: this.#config.exporters.map(destination => destination.name || destination.type),
+      samplingRate: this.#config.samplingRate,
+      samplingRules: this.#config.samplingRules.length,
+      enabled: this.#config.enabled
     });
 
-    // 🔧 DEBUG LOGGING: Enhanced debugging
-    console.log(`🔧 ODN Debug Configuration:`);
-    console.log(`- Service: ${this.#config.serviceName}`);
-    console.log(`- Environment: ${this.#config.deploymentEnvironment}`);
-    console.log(`- OTLP URL: ${otlpTraceUrl}`);
-    console.log(`- Token: ${this.#config.dtApiToken ? this.#config.dtApiToken.substring(0, 15) + '...' : 'MISSING'}`);
-    console.log(`- Sampling Rate: ${this.#config.samplingRate}`);
-    console.log(`- Enabled: ${this.#config.enabled}`);
-
-    // Override export method to add detailed logging
-    const originalExport = traceExporter.export.bind(traceExporter);
-    traceExporter.export = (spans, resultCallback) => {
-      console.log(`📤 ODN: Attempting to export ${spans.length} spans to Dynatrace`);
-      console.log(`📤 ODN: Export URL: ${otlpTraceUrl}`);
-      
-      // Log span details for debugging
-      spans.forEach((span, index) => {
-        console.log(`📤 ODN: Span ${index + 1}: ${span.name} (${span.spanContext().spanId})`);
+    this.#otlpTraceUrl = otlpTraceUrl;
+
+    // One batch span processor per destination (exporters), or Dynatrace only
+    const destinations = this.#config.exporters.map(destination => ({
+      name: destination.name || destination.type,
+      processor: this.#createSpanDestination(destination, endpoints)
+    }));
+    if (destinations.length === 0) {
+      this.#probeTargets = [{ name: 'dynatrace', type: 'dynatrace', endpoint: otlpTraceUrl, exporter: traceExporter }];
+    }
+    const batchProcessor = destinations.length > 0
+      ? new FanOutSpanProcessor(destinations)
+      : this.#createBatchSpanProcessor(this.#withRetries(traceExporter, {
+        signal: 'traces',
+        url: otlpTraceUrl,
+        deadlineMs: this.#config.exportTimeoutMs
+      }));
+
+    // With tail sampling, head sampling records every trace and samplingRate
+    // is applied once the trace is complete
+    const tailSampling = this.#config.tailSampling;
+    const spanProcessor = tailSampling.enabled
+      ? new TailSamplingSpanProcessor(batchProcessor, {
+        ...tailSampling,
+        samplingRate: this.#config.samplingRate,
+        // samplingRules still choose the rate of clean traces
+        getSamplingRate: (span) => this.#rootSampler.getRate(span.name, span.attributes),
+        onDrop: (count) => this.#exportStats.recordSampledOut(count)
+      })
+      : batchProcessor;
+
+    this.#spanProcessor = spanProcessor;
+
+    // Create metric reader for Dynatrace (Dynatrace only accepts delta temporality)
+    if (this.#config.metrics.enabled) {
+      this.#metricReader = new sdkMetrics.PeriodicExportingMetricReader({
+        exporter: this.#withRetries(this.#createOtlpExporter('metrics', endpoints.metrics), {
+          signal: 'metrics',
+          url: endpoints.metrics,
+          deadlineMs: this.#config.metrics.exportTimeoutMs
+        }),
+        exportIntervalMillis: this.#config.metrics.exportIntervalMs,
+        exportTimeoutMillis: this.#config.metrics.exportTimeoutMs,
       });
-      
-      return originalExport(spans, (result) => {
-        if (result.code === 0) {
-          console.log(`✅ ODN: Successfully exported ${spans.length} spans to Dynatrace`);
-        } else {
-          console.error(`❌ ODN: Failed to export spans to Dynatrace:`, {
-            code: result.code,
-            error: result.error,
-            url: otlpTraceUrl
-          });
+    }
+
+    // Create log record processor for Dynatrace
+    if (this.#config.logs.enabled) {
+      this.#logRecordProcessor = new sdkLogs.BatchLogRecordProcessor(
+        this.#withRetries(this.#createOtlpExporter('logs', endpoints.logs), {
+          signal: 'logs',
+          url: endpoints.logs,
+          deadlineMs: this.#config.logs.exportTimeoutMs
+        }),
+        {
+          scheduledDelayMillis: this.#config.logs.scheduledDelayMs,
+          exportTimeoutMillis: this.#config.logs.exportTimeoutMs,
         }
-        resultCallback(result);
-      });
-    };
+      );
+    }
 
-    // Create batch span processor with appropriate settings
-    const spanProcessor = new BatchSpanProcessor(traceExporter, {
-      maxExportBatchSize: this.#config.maxExportBatchSize,
-      exportTimeoutMillis: this.#config.exportTimeoutMs,
-      scheduledDelayMillis: 1000, // Export every 1 second for faster feedback
+    // Sampler and ignore lists are kept so updateConfig can change them on the running SDK
+    this.#rootSampler = new RuleBasedSampler(this.#getSamplerOptions());
+    this.#ignoreMatchers = compileIgnoreMatchers(this.#config.instrumentations);
+    Object.entries(this.#config.instrumentations).forEach(([name, settings]) => {
+      ['ignoreIncomingPaths', 'ignoreOutgoingHosts', 'ignoreLayers']
+        .filter(key => settings[key] !== undefined)
+        .forEach(key => this.#ignoreHooks.add(`instrumentations.${name}.${key}`));
     });
 
     // Initialize NodeSDK
+    // Resource detection already ran above, and OTEL_SERVICE_NAME / OTEL_RESOURCE_ATTRIBUTES
+    // are merged into the config with ODN precedence, so the SDK's own detection is off
     this.#sdk = new NodeSDK({
       resource,
-      spanProcessor,
+      autoDetectResources: false,
+      spanLimits: createSpanLimits(this.#config.spanLimits),
+      sampler: new CountingSampler(createSampler(this.#rootSampler), this.#exportStats),
+      spanProcessors: [spanProcessor],
+      metricReader: this.#metricReader,
+      logRecordProcessor: this.#logRecordProcessor,
       instrumentations: [
-        getNodeAutoInstrumentations({
-          '@opentelemetry/instrumentation-http': { 
-            enabled: this.#config.autoInstrumentations.includes('http') 
-          },
-          '@opentelemetry/instrumentation-express': { 
-            enabled: this.#config.autoInstrumentations.includes('express') 
-          },
-          '@opentelemetry/instrumentation-mongoose': { 
-            enabled: this.#config.autoInstrumentations.includes('mongoose') 
-          },
-          '@opentelemetry/instrumentation-redis': { 
-            enabled: this.#config.autoInstrumentations.includes('redis') 
-          },
-          // Disable noisy instrumentations by default
-          '@opentelemetry/instrumentation-dns': { enabled: false },
-          '@opentelemetry/instrumentation-net': { enabled: false },
-          '@opentelemetry/instrumentation-fs': { enabled: false }
-        }),
+        getNodeAutoInstrumentations(
+          createInstrumentationOptions(this.#config.instrumentations, () => this.#ignoreMatchers)
+        ),
       ],
     });
 
@@ -122,97 +327,445 @@ class OtelDynatrace {
     this.#tracer = new DynatraceTracer(this.#config.serviceName);
   }
 
+  /**
+   * Create the OTLP/HTTP exporter of a signal, rebuilt whenever the API token rotates
+   * @param {string} signal - 'traces', 'metrics' or 'logs'
+   * @param {string} url - Signal URL
+   * @param {Object} overrides - exporters entry settings: { headers, protocol, compression }
+   * @returns {TokenRefreshingExporter} Exporter sending each batch once
+   */
+  #createOtlpExporter(signal, url, overrides = {}) {
+    return new TokenRefreshingExporter((token) => new OtlpHttpExporter({
+      signal,
+      url,
+      headers: { ...createExportHeaders(this.#config, token), ...overrides.headers },
+      protocol: overrides.protocol || this.#config.protocol,
+      compression: overrides.compression || this.#config.compression
+    }), this.#tokenManager);
+  }
+
+  /**
+   * Create the batch span processor of one exporters entry
+   * otlp entries only send their own headers, so the Dynatrace token never reaches them
+   * @param {Object} destination - exporters entry
+   * @param {Object} endpoints - Configuration endpoints from resolveEndpoints
+   * @returns {MonitoredBatchSpanProcessor} Processor with the entry's own queue and batch settings
+   */
+  #createSpanDestination(destination, endpoints) {
+    const name = destination.name || destination.type;
+    const batch = {
+      maxExportBatchSize: this.#config.maxExportBatchSize,
+      maxQueueSize: this.#config.maxQueueSize,
+      scheduledDelayMs: this.#config.scheduledDelayMs,
+      exportTimeoutMs: this.#config.exportTimeoutMs,
+      ...destination.batch
+    };
+    const url = resolveExporterUrl(destination, endpoints);
+
+    let exporter;
+    switch (destination.type) {
+      case 'dynatrace':
+        exporter = this.#createOtlpExporter('traces', url, destination);
+        break;
+      case 'otlp':
+        exporter = new OtlpHttpExporter({
+          signal: 'traces',
+          url,
+          headers: destination.headers,
+          protocol: destination.protocol || this.#config.protocol,
+          compression: destination.compression || this.#config.compression
+        });
+        break;
+      case 'console':
+        exporter = new sdkTracing.ConsoleSpanExporter();
+        break;
+      case 'file':
+        exporter = new FileSpanExporter({ path: destination.path });
+        break;
+      default:
+        throw new Error(`Unknown exporter type: ${destination.type}`);
+    }
+
+    // Kept without retries for verifyConnection
+    this.#probeTargets.push({ name, type: destination.type, endpoint: url || destination.path || null, exporter });
+
+    exporter = this.#withRetries(exporter, {
+      signal: 'traces',
+      destination: name,
+      url: url || destination.path || destination.type,
+      deadlineMs: batch.exportTimeoutMs
+    });
+    if (destination.attributeFilter) {
+      exporter = new AttributeFilterExporter(exporter, destination.attributeFilter);
+    }
+
+    logger.debug('Span destination configured', { destination: name, type: destination.type, url, batch });
+    return this.#createBatchSpanProcessor(exporter, batch, `traces:${name}`);
+  }
+
+  /**
+   * Create a batch span processor reporting its queue depth and dropped spans
+   * @param {Object} exporter - Span exporter
+   * @param {Object} batch - { maxExportBatchSize, maxQueueSize, scheduledDelayMs, exportTimeoutMs } (default: top-level settings)
+   * @param {string} signal - Counters key (default: 'traces')
+   * @returns {MonitoredBatchSpanProcessor} Processor
+   */
+  #createBatchSpanProcessor(exporter, batch = this.#config, signal = 'traces') {
+    return new MonitoredBatchSpanProcessor(exporter, {
+      maxExportBatchSize: batch.maxExportBatchSize,
+      maxQueueSize: batch.maxQueueSize,
+      exportTimeoutMillis: batch.exportTimeoutMs,
+      scheduledDelayMillis: batch.scheduledDelayMs,
+    }, { signal, stats: this.#exportStats });
+  }
+
+  /**
+   * Wrap an exporter with retryConfig-driven retries and outcome reporting, and with the
+   * disk queue when persistentQueue is enabled (OTLP/HTTP exporters only)
+   * @param {Object} exporter - Exporter sending each batch once
+   * @param {Object} options - { signal, destination, url, deadlineMs }
+   * @returns {RetryingExporter|PersistentQueueExporter} Exporter for the batch processor or metric reader
+   */
+  #withRetries(exporter, options) {
+    const retryingExporter = new RetryingExporter(exporter, {
+      ...options,
+      retryConfig: this.#config.retryConfig,
+      stats: this.#exportStats
+    });
+
+    const { persistentQueue } = this.#config;
+    if (!persistentQueue.enabled || typeof exporter.send !== 'function') {
+      return retryingExporter;
+    }
+
+    // One directory per signal and destination; batches left by a previous run are replayed on start
+    // Processes of the same service each lock their own directory (see openDiskQueue)
+    const directory = persistentQueue.directory
+      || path.join(os.tmpdir(), 'odn-queue', this.#config.serviceName.replace(/[^\w.-]/g, '_'));
+    const queueName = options.destination ? `${options.signal}-${options.destination}` : options.signal;
+    let queue;
+    try {
+      queue = openDiskQueue({
+        directory: path.join(directory, queueName.replace(/[^\w.-]/g, '_')),
+        maxSizeBytes: persistentQueue.maxSizeBytes,
+        maxAgeMs: persistentQueue.maxAgeMs
+      });
+    } catch (error) {
+      logger.warn('Persistent queue unavailable, exporting without it', {
+        signal: options.signal,
+        directory,
+        error: error.message
+      });
+      return retryingExporter;
+    }
+
+    return new PersistentQueueExporter(retryingExporter, {
+      signal: options.signal,
+      destination: options.destination,
+      transport: exporter,
+      queue,
+      replayIntervalMs: persistentQueue.replayIntervalMs,
+      stats: this.#exportStats
+    });
+  }
+
+  /**
+   * Head sampler options; with tail sampling every trace is recorded and samplingRate
+   * or the matching samplingRules rate is applied once the trace is complete
+   * @returns {Object} RuleBasedSampler options
+   */
+  #getSamplerOptions() {
+    return {
+      samplingRate: this.#config.samplingRate,
+      samplingRules: this.#config.samplingRules,
+      recordAll: this.#config.tailSampling.enabled
+    };
+  }
+
+  /**
+   * Check whether a changed configuration path can be applied to this running instance
+   * Ignore lists are only live where their hook was installed at startup
+   * @param {string} path - Configuration path
+   * @returns {boolean} True if the change applies without a restart
+   */
+  #canApplyAtRuntime(path) {
+    if (!isRuntimeUpdatable(path)) return false;
+    if (path.startsWith('instrumentations.')) return this.#ignoreHooks.has(path);
+    if (path.startsWith('tailSampling.')) return this.#spanProcessor instanceof TailSamplingSpanProcessor;
+    return true;
+  }
+
+  /**
+   * Apply the runtime-updatable differences between the running and the next configuration
+   * @param {Object} nextConfig - Validated configuration
+   * @param {Function} sourceOf - (path) => source recorded for each applied path
+   * @returns {Object} { applied, restartRequired } changed configuration paths
+   */
+  #applyConfig(nextConfig, sourceOf) {
+    const { config, applied, restartRequired } = planConfigUpdate(
+      this.#config,
+      nextConfig,
+      (path) => this.#canApplyAtRuntime(path)
+    );
+
+    const logChanges = (previousConfig) => {
+      applied.forEach(path => {
+        logger.info('Configuration updated', { key: path, previous: getPath(previousConfig, path), value: getPath(config, path) });
+      });
+      if (restartRequired.length > 0) {
+        logger.warn('Configuration changes require a restart and were not applied', { keys: restartRequired });
+      }
+    };
+
+    // Logged under whichever logLevel (old or new) shows the change
+    const previousConfig = this.#config;
+    const loggedBefore = logger.isLevelEnabled('info');
+    if (loggedBefore) logChanges(previousConfig);
+
+    this.#config = config;
+    this.#configSources = applied.reduce(
+      (sources, path) => ({ ...sources, [path]: sourceOf(path) }),
+      this.#configSources
+    );
+    configureLogger(config);
+    if (!loggedBefore) logChanges(previousConfig);
+    this.#rootSampler.update(this.#getSamplerOptions());
+    if (this.#spanProcessor instanceof TailSamplingSpanProcessor) {
+      this.#spanProcessor.update({
+        samplingRate: config.samplingRate,
+        latencyThresholdMs: config.tailSampling.latencyThresholdMs
+      });
+    }
+    this.#ignoreMatchers = compileIgnoreMatchers(config.instrumentations);
+
+    return { applied, restartRequired };
+  }
+
+  /**
+   * Change configuration on the running instance without a restart
+   * Sampling (samplingRate, samplingRules, tailSampling.latencyThresholdMs), instrumentation
+   * ignore lists and the internal logger (logLevel, logFormat, logSink) apply immediately.
+   * Other changed keys, such as dtApiUrl, are reported in restartRequired and not applied.
+   * @param {Object} partial - Configuration changes, merged into the running configuration
+   * @returns {Object} { applied, restartRequired } changed configuration paths
+   * @throws {Error} If the resulting configuration is invalid (nothing is applied)
+   */
+  updateConfig(partial = {}) {
+    const nextConfig = assertValidConfig(deepMerge(this.#config, partial));
+    const result = this.#applyConfig(nextConfig, () => 'runtime');
+
+    // Runtime changes keep winning over the config file when it is reloaded
+    this.#runtimeOverrides = result.applied.reduce(
+      (overrides, path) => setPath(overrides, path, getPath(nextConfig, path)),
+      this.#runtimeOverrides
+    );
+
+    return result;
+  }
+
+  /**
+   * Merge all configuration sources again after the config file changed
+   * @param {string} configFile - Watched file
+   */
+  #reloadConfigFile(configFile) {
+    try {
+      const reloaded = new DynatraceConfig(this.#configSource);
+      const nextConfig = assertValidConfig(deepMerge({ ...reloaded.config }, this.#runtimeOverrides));
+
+      logger.info('Configuration file changed', { configFile });
+      this.#applyConfig(nextConfig, (path) => (
+        getPath(this.#runtimeOverrides, path) !== undefined ? 'runtime' : reloaded.sources[path]
+      ));
+    } catch (error) {
+      logger.error('Failed to reload configuration file', { configFile, error: error.message });
+    }
+  }
+
+  /**
+   * Watch the loaded config file when watchConfigFile is enabled
+   */
+  #watchConfigFile() {
+    const { configFile, watchConfigFile } = this.#config;
+    if (!watchConfigFile || typeof configFile !== 'string' || this.#configWatchListener) return;
+
+    this.#configWatchListener = (current, previous) => {
+      if (current.mtimeMs !== previous.mtimeMs) {
+        this.#reloadConfigFile(configFile);
+      }
+    };
+    fs.watchFile(configFile, { interval: CONFIG_WATCH_INTERVAL_MS, persistent: false }, this.#configWatchListener);
+    logger.debug('Watching configuration file', { configFile });
+  }
+
   /**
    * Start OpenTelemetry tracing
    */
   start() {
     if (!this.#config.enabled) {
-      console.log('OpenTelemetry is disabled');
+      logger.info('OpenTelemetry is disabled');
       return;
     }
 
     try {
       this.#sdk.start();
       this.#initialized = true;
+      this.#tokenManager.start();
+      this.#watchConfigFile();
       
-      const summary = getConfigSummary(this.#config);
-      console.log('✅ OpenTelemetry initialized for Dynatrace:', summary);
-      
-      // ✅ ENHANCED: Create multiple test spans for better validation
-      setTimeout(() => {
-        this.#createTestSpans();
-      }, 2000);
+      if (this.#config.selfMetrics.enabled && this.#config.metrics.enabled) {
+        registerSelfMetrics(this.getMeter('otel-dynatrace-nodejs', version), this.#exportStats);
+      }
       
+      const summary = getConfigSummary(this.#config);
+      logger.info('OpenTelemetry initialized for Dynatrace', summary);
+      logger.debug('Configuration sources', this.#configSources);
     } catch (error) {
-      console.error('❌ Failed to start OpenTelemetry:', error);
+      logger.error('Failed to start OpenTelemetry', { error });
       throw error;
     }
   }
 
   /**
-   * Create test spans for validation
+   * Send a single probe span straight to every span destination (the exporters entries, or
+   * Dynatrace) and report the outcome of each
+   * Bypasses sampling, batching and retries; intended for deploy checks
+   * @param {Object} options - Probe options
+   * @param {number} options.timeoutMs - Give up after this many milliseconds (default: exportTimeoutMs)
+   * @returns {Promise<Object>} Report: { ok, reason, httpStatus, latencyMs, endpoint, probeId, error, targets }
+   *   where ok is true only if every destination accepted the probe, the other top-level fields describe
+   *   the first failing destination (or the first one), and targets lists
+   *   { name, type, ok, reason, httpStatus, latencyMs, endpoint, error } per destination
    */
-  #createTestSpans() {
-    try {
-      const testTracer = trace.getTracer('odn-test');
-      
-      // Test span 1: Basic test
-      const span1 = testTracer.startSpan('odn-test-basic');
-      span1.setAttribute('test.source', 'odn-library');
-      span1.setAttribute('test.timestamp', Date.now());
-      span1.setAttribute('test.type', 'basic');
-      span1.end();
-      
-      // Test span 2: Business operation simulation
-      const span2 = testTracer.startSpan('odn-test-business-operation');
-      span2.setAttribute('business.operation', 'test-process');
-      span2.setAttribute('business.user_id', 'test-user-123');
-      span2.setAttribute('test.source', 'odn-library');
-      span2.setAttribute('test.type', 'business');
-      span2.end();
-      
-      // Test span 3: HTTP operation simulation
-      const span3 = testTracer.startSpan('odn-test-http-request');
-      span3.setAttribute('http.method', 'GET');
-      span3.setAttribute('http.url', '/test/endpoint');
-      span3.setAttribute('http.status_code', 200);
-      span3.setAttribute('test.source', 'odn-library');
-      span3.setAttribute('test.type', 'http');
-      span3.end();
-      
-      console.log('🧪 ODN: Created 3 test spans for validation');
-      
-      // Force flush after creating test spans
-      setTimeout(async () => {
-        try {
-          await this.#sdk.shutdown();
-          await this.start(); // Restart to continue normal operation
-          console.log('🧪 ODN: Test spans flushed, SDK restarted');
-        } catch (flushError) {
-          console.error('❌ ODN: Error flushing test spans:', flushError);
-        }
-      }, 3000);
-      
-    } catch (error) {
-      console.error('❌ ODN: Error creating test spans:', error);
+  async verifyConnection(options = {}) {
+    const { timeoutMs = this.#config.exportTimeoutMs } = options;
+    const probeId = `odn-probe-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    const report = {
+      ok: false,
+      reason: null,
+      httpStatus: null,
+      latencyMs: null,
+      endpoint: this.#otlpTraceUrl,
+      probeId,
+      error: null,
+      targets: []
+    };
+
+    if (!this.#config.enabled) {
+      report.reason = 'disabled';
+      return report;
+    }
+
+    // Dedicated provider so the probe never goes through sampling or the batch queue
+    const probeProvider = new sdkTracing.BasicTracerProvider({
+      resource: this.#resource,
+      sampler: new sdkTracing.AlwaysOnSampler(),
+    });
+    const probeSpan = probeProvider.getTracer('odn-connectivity-probe').startSpan('odn.connectivity_probe', {
+      attributes: {
+        'odn.probe': true,
+        'odn.probe.id': probeId
+      }
+    });
+    probeSpan.end();
+
+    report.targets = await Promise.all(this.#probeTargets.map(target => this.#probe(target, probeSpan, timeoutMs)));
+
+    const failed = report.targets.find(target => !target.ok);
+    const { httpStatus, latencyMs, endpoint, error } = failed || report.targets[0];
+    Object.assign(report, {
+      ok: !failed,
+      reason: failed ? failed.reason : 'ok',
+      httpStatus,
+      latencyMs,
+      endpoint,
+      error
+    });
+
+    if (report.ok) {
+      logger.info('Dynatrace connectivity check succeeded', report);
+    } else {
+      logger.warn('Dynatrace connectivity check failed', report);
+    }
+
+    return report;
+  }
+
+  /**
+   * Export the probe span to one destination
+   * @param {Object} target - { name, type, endpoint, exporter }
+   * @param {ReadableSpan} probeSpan - Probe span
+   * @param {number} timeoutMs - Give up after this many milliseconds
+   * @returns {Promise<Object>} { name, type, ok, reason, httpStatus, latencyMs, endpoint, error }
+   */
+  async #probe({ name, type, endpoint, exporter }, probeSpan, timeoutMs) {
+    const report = { name, type, ok: false, reason: null, httpStatus: null, latencyMs: null, endpoint, error: null };
+
+    const startTime = Date.now();
+    const result = await new Promise((resolve) => {
+      const timer = setTimeout(() => resolve({ timedOut: true }), timeoutMs);
+      exporter.export([probeSpan], (exportResult) => {
+        clearTimeout(timer);
+        resolve(exportResult);
+      }, { timeoutMs });
+    });
+    report.latencyMs = Date.now() - startTime;
+
+    if (result.timedOut) {
+      report.reason = 'timeout';
+    } else if (result.code === 0) { // ExportResultCode.SUCCESS
+      report.ok = true;
+      report.reason = 'ok';
+    } else {
+      const error = result.error || {};
+      const httpStatus = typeof error.code === 'number' ? error.code : null;
+
+      report.httpStatus = httpStatus;
+      report.error = error.message || 'Unknown export error';
+      report.reason = classifyExportFailure(httpStatus, error);
     }
+
+    return report;
   }
 
   /**
    * Shutdown OpenTelemetry
    */
   async shutdown() {
+    this.#tokenManager.stop();
+    if (this.#configWatchListener) {
+      fs.unwatchFile(this.#config.configFile, this.#configWatchListener);
+      this.#configWatchListener = null;
+    }
+
     if (this.#initialized) {
       try {
         await this.#sdk.shutdown();
         this.#initialized = false;
-        console.log('✅ OpenTelemetry shutdown completed');
+        logger.info('OpenTelemetry shutdown completed');
       } catch (error) {
-        console.error('❌ Error during OpenTelemetry shutdown:', error);
+        logger.error('Error during OpenTelemetry shutdown', { error });
       }
     }
   }
 
+  /**
+   * Export all pending spans immediately
+   * @returns {Promise<void>}
+   */
+  async forceFlush() {
+    if (!this.#initialized) return;
+
+    try {
+      await Promise.all([
+        this.#spanProcessor.forceFlush(),
+        this.#metricReader && this.#metricReader.forceFlush(),
+        this.#logRecordProcessor && this.#logRecordProcessor.forceFlush()
+      ]);
+    } catch (error) {
+      logger.error('Error flushing OpenTelemetry spans', { error });
+    }
+  }
+
   /**
    * Get tracer instance
    */
@@ -220,6 +773,16 @@ class OtelDynatrace {
     return this.#tracer;
   }
 
+  /**
+   * Get a meter for recording metrics exported to Dynatrace
+   * @param {string} name - Meter name (defaults to service name)
+   * @param {string} version - Meter version (defaults to service version)
+   * @returns {Meter} OpenTelemetry meter
+   */
+  getMeter(name = this.#config.serviceName, version = this.#config.serviceVersion) {
+    return metrics.getMeter(name, version);
+  }
+
   /**
    * Check if tracing is enabled and initialized
    */
@@ -228,15 +791,113 @@ class OtelDynatrace {
   }
 
   /**
-   * Get configuration
+   * Get configuration (the API token and secret export headers are redacted)
    */
   getConfig() {
-    return { ...this.#config };
+    return redactConfigSecrets(this.#config);
+  }
+
+  /**
+   * Get the configuration summary
+   * With withSources, sources maps each setting path to where its value came from:
+   * 'default', 'preset:<environment>', 'template:<name>', 'file:<path>', 'user', 'env:<VARIABLE>'
+   * or 'runtime' (updateConfig)
+   * @param {Object} options - Summary options
+   * @param {boolean} options.withSources - Include where each setting came from
+   * @returns {Object} Configuration summary
+   */
+  getConfigSummary(options = {}) {
+    return getConfigSummary(this.#config, { ...options, sources: this.#configSources });
+  }
+
+  /**
+   * Get export pipeline statistics, e.g. to alert when spans stop reaching Dynatrace
+   * With selfMetrics.enabled the same counters are exported as odn.* metrics
+   * @returns {Object} Statistics:
+   *   - spans: { started, sampledOut, exported, dropped, queueDepth } summed over all destinations
+   *   - lastExport: { signal, success, items, latencyMs, time } of any signal
+   *   - lastError: { signal, message, code, time } of any signal
+   *   - exports: counters per signal ('traces', 'metrics', 'logs') or '<signal>:<destination>':
+   *     batchesExported, batchesFailed, itemsExported, itemsFailed, retries, lastExportLatencyMs,
+   *     lastError, pending, itemsDroppedQueueFull, itemsDroppedExportFailed and queue (persistent queue)
+   */
+  getStats() {
+    return {
+      spans: this.#exportStats.spanTotals(),
+      lastExport: this.#exportStats.lastExport,
+      lastError: this.#exportStats.lastError,
+      exports: this.#exportStats.snapshot()
+    };
   }
 }
 
-// Rest of the code remains the same...
-// [Include all other functions: createTracer, createExpressMiddleware, etc.]
+/**
+ * DynatraceTracer methods exposed directly on the createTracer facade
+ */
+const TRACER_METHODS = [
+  'getServiceName',
+  'getVersion',
+  'startSpan',
+  'startActiveSpan',
+  'endSpan',
+  'withSpan',
+  'withSpanAsync',
+  'withBusinessSpan',
+  'withBusinessSpanAsync',
+  'addHttpContext',
+  'createChildSpan',
+  'getCurrentSpan',
+  'hasActiveSpan',
+  'addAttributesToCurrentSpan',
+  'addBusinessContextToCurrentSpan',
+  'addEvent',
+  'recordException',
+  'getTracer'
+];
+
+/**
+ * Create, start and wrap an OtelDynatrace instance in a single facade
+ * @param {Object} configOptions - Configuration passed to OtelDynatrace
+ * @returns {Object} Tracer facade with span API, lifecycle methods and helpers
+ */
+function createTracer(configOptions = {}) {
+  const instance = new OtelDynatrace(configOptions);
+  instance.start();
+
+  const dynatraceTracer = instance.getTracer();
+  const facade = {};
+
+  // Span API
+  TRACER_METHODS.forEach(method => {
+    facade[method] = dynatraceTracer[method].bind(dynatraceTracer);
+  });
+
+  // Lifecycle
+  facade.shutdown = () => instance.shutdown();
+  facade.forceFlush = () => instance.forceFlush();
+  facade.isEnabled = () => instance.isEnabled();
+  facade.getConfig = () => instance.getConfig();
+  facade.updateConfig = (partial) => instance.updateConfig(partial);
+  facade.getConfigSummary = (options) => instance.getConfigSummary(options);
+  facade.getStats = () => instance.getStats();
+  facade.getMeter = (name, version) => instance.getMeter(name, version);
+
+  // Log correlation bound to this service's name and its current logLevel (updateConfig may change it)
+  const { serviceName } = instance.getConfig();
+  const logLevel = () => instance.getConfig().logLevel;
+  facade.createPinoOptions = (options = {}) => logTracer.createPinoOptions({ serviceName, logLevel, ...options });
+  facade.createWinstonFormat = (winston, options = {}) => logTracer.createWinstonFormat(winston, { serviceName, logLevel, ...options });
+  facade.verifyConnection = (options) => instance.verifyConnection(options);
+  facade.getInstance = () => instance;
+
+  // Helper namespaces
+  facade.spanHelpers = spanHelpers;
+  facade.httpTracer = httpTracer;
+  facade.databaseTracer = databaseTracer;
+  facade.logTracer = logTracer;
+
+  return facade;
+}
 
 module.exports = {
   OtelDynatrace,
@@ -247,8 +908,14 @@ module.exports = {
   spanHelpers,
   httpTracer,
   databaseTracer,
+  logTracer,
   DynatraceTracer,
-  createConfig
+  DynatraceConfig,
+  createConfig,
+  createServiceConfig,
+  registerServiceTemplate,
+  describeTemplate,
+  quickConfigs
 };
 
 module.exports.default = OtelDynatrace;
\ No newline at end of file
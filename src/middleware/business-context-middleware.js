@@ -0,0 +1,155 @@
+// src/middleware/business-context-middleware.js - Declarative Business Context Extraction (CommonJS)
+
+const { addBusinessContext } = require('../helpers/span-helpers.js');
+const { getRouteTemplate } = require('./express-middleware.js');
+const { createLogger } = require('../utils/logger.js');
+
+const logger = createLogger('business-context');
+
+const DEFAULT_MAX_VALUE_LENGTH = 256;
+
+/**
+ * Normalize a mapping entry into { from, transform, defaultValue }
+ * Supported sources:
+ *   'header:x-tenant'        - request header
+ *   'params.id'              - dotted path into the request (params, query, body, ...)
+ *   (req) => value           - custom extractor
+ *   { from, transform, default }
+ * @param {string} key - Business context key
+ * @param {string|Function|Object} entry - Mapping entry
+ * @returns {Object} Normalized entry
+ */
+function normalizeEntry(key, entry) {
+  if (typeof entry === 'string' || typeof entry === 'function') {
+    return { from: entry, transform: null, defaultValue: undefined };
+  }
+
+  if (entry && (typeof entry.from === 'string' || typeof entry.from === 'function')) {
+    return {
+      from: entry.from,
+      transform: typeof entry.transform === 'function' ? entry.transform : null,
+      defaultValue: entry.default
+    };
+  }
+
+  throw new Error(`Invalid business context mapping for "${key}": expected a source string, function or { from }`);
+}
+
+/**
+ * Normalize a full mapping object
+ * @param {Object} mapping - Declarative mapping
+ * @returns {Array<Object>} Normalized entries with their keys
+ */
+function normalizeMapping(mapping = {}) {
+  return Object.entries(mapping).map(([key, entry]) => ({ key, ...normalizeEntry(key, entry) }));
+}
+
+/**
+ * Read a value from the request using a mapping source
+ * @param {Object} req - Express request object
+ * @param {string|Function} from - Mapping source
+ * @returns {*} Extracted value
+ */
+function extractValue(req, from) {
+  if (typeof from === 'function') {
+    return from(req);
+  }
+
+  if (from.startsWith('header:')) {
+    const headerName = from.slice('header:'.length).toLowerCase();
+    return typeof req.get === 'function' ? req.get(headerName) : req.headers?.[headerName];
+  }
+
+  return from.split('.').reduce((obj, key) => obj?.[key], req);
+}
+
+/**
+ * Create Express middleware that applies declaratively mapped business context to the request span
+ * @param {Object} tracer - Tracer facade from createTracer or a DynatraceTracer
+ * @param {Object} options - Middleware options
+ * @param {Object} options.mapping - Mapping applied to every request, e.g. { tenant_id: 'header:x-tenant' }
+ * @param {Object} options.routes - Per-route mappings keyed by route template ('/orders/:id' or 'GET /orders/:id')
+ * @param {Function} options.transform - Transform applied to every value: (value, key, req) => value
+ * @param {number} options.maxValueLength - Truncate values longer than this (default: 256)
+ * @returns {Function} Express middleware
+ */
+function createBusinessContextMiddleware(tracer, options = {}) {
+  if (!tracer) {
+    throw new Error('tracer is required for createBusinessContextMiddleware');
+  }
+
+  const {
+    mapping = {},
+    routes = {},
+    transform = null,
+    maxValueLength = DEFAULT_MAX_VALUE_LENGTH
+  } = options;
+
+  const globalEntries = normalizeMapping(mapping);
+  const routeEntries = Object.fromEntries(
+    Object.entries(routes).map(([route, routeMapping]) => [route, normalizeMapping(routeMapping)])
+  );
+
+  const resolveContext = (req, entries) => {
+    const businessContext = {};
+
+    entries.forEach(({ key, from, transform: entryTransform, defaultValue }) => {
+      let value = extractValue(req, from);
+
+      if (value === undefined || value === null || value === '') {
+        value = defaultValue;
+      }
+      if (value === undefined || value === null) return;
+
+      if (entryTransform) value = entryTransform(value, req);
+      if (transform) value = transform(value, key, req);
+      if (value === undefined || value === null) return;
+
+      const stringValue = String(value);
+      businessContext[key] = stringValue.length > maxValueLength
+        ? stringValue.substring(0, maxValueLength)
+        : stringValue;
+    });
+
+    return businessContext;
+  };
+
+  const getRouteEntries = (req) => {
+    const route = getRouteTemplate(req);
+    if (!route) return [];
+
+    return [
+      ...(routeEntries[route] || []),
+      ...(routeEntries[`${req.method} ${route}`] || [])
+    ];
+  };
+
+  return function odnBusinessContextMiddleware(req, res, next) {
+    const span = req.span || tracer.getCurrentSpan();
+    if (!span) {
+      return next();
+    }
+
+    try {
+      // Headers and query are available now; params and route only once routing completed
+      addBusinessContext(span, resolveContext(req, [...globalEntries, ...getRouteEntries(req)]));
+
+      res.once('finish', () => {
+        try {
+          addBusinessContext(span, resolveContext(req, [...globalEntries, ...getRouteEntries(req)]));
+        } catch (error) {
+          logger.warn('Failed to apply business context', { error: error.message });
+        }
+      });
+    } catch (error) {
+      logger.warn('Failed to apply business context', { error: error.message });
+    }
+
+    return next();
+  };
+}
+
+// CommonJS exports
+module.exports = {
+  createBusinessContextMiddleware
+};
@@ -0,0 +1,197 @@
+// src/middleware/express-middleware.js - Express Request Tracing Middleware (CommonJS)
+
+const { trace, context, SpanKind, SpanStatusCode } = require('@opentelemetry/api');
+const { addBusinessContext, addErrorDetails } = require('../helpers/span-helpers.js');
+const { compileRoutePatterns, matchesRoute } = require('../utils/route-patterns.js');
+const { createLogger } = require('../utils/logger.js');
+
+const logger = createLogger('express');
+
+/**
+ * Get the request path without query string
+ * @param {Object} req - Express request object
+ * @returns {string} Request path
+ */
+function getRequestPath(req) {
+  if (req.path) return req.path;
+  return (req.originalUrl || req.url || '/').split('?')[0];
+}
+
+/**
+ * Get the matched route template (e.g. '/users/:id') for a handled request
+ * @param {Object} req - Express request object
+ * @returns {string|undefined} Route template, undefined if no route matched
+ */
+function getRouteTemplate(req) {
+  if (!req.route || req.route.path === undefined) return undefined;
+
+  const routePath = Array.isArray(req.route.path)
+    ? req.route.path.map(String).join('|')
+    : String(req.route.path);
+
+  return `${req.baseUrl || ''}${routePath}` || '/';
+}
+
+/**
+ * Create Express middleware that enriches the request span with HTTP context
+ * @param {Object} tracer - Tracer facade from createTracer or a DynatraceTracer
+ * @param {Object} options - Middleware options
+ * @param {boolean} options.autoTrace - Start a server span when none is active (default: true)
+ * @param {boolean} options.addBusinessContext - Add business.endpoint to the span (default: false)
+ * @param {Array<string|RegExp>} options.ignoreRoutes - Glob or RegExp paths to skip
+ * @returns {Function} Express middleware
+ */
+function createExpressMiddleware(tracer, options = {}) {
+  if (!tracer) {
+    throw new Error('tracer is required for createExpressMiddleware');
+  }
+
+  const {
+    autoTrace = true,
+    addBusinessContext: includeBusinessContext = false,
+    ignoreRoutes = []
+  } = options;
+  const ignorePatterns = compileRoutePatterns(ignoreRoutes);
+
+  return function odnExpressMiddleware(req, res, next) {
+    const path = getRequestPath(req);
+    if (matchesRoute(path, ignorePatterns)) {
+      return next();
+    }
+
+    let span = tracer.getCurrentSpan();
+    let ownsSpan = false;
+
+    if (!span && autoTrace) {
+      span = tracer.startSpan(`${req.method} ${path}`, { kind: SpanKind.SERVER });
+      ownsSpan = true;
+    }
+
+    if (!span) {
+      return next();
+    }
+
+    // Expose span to route handlers
+    req.span = span;
+    if (res.locals) {
+      res.locals.span = span;
+    }
+
+    tracer.addHttpContext(span, req);
+
+    res.once('finish', () => {
+      const route = getRouteTemplate(req);
+      if (route) {
+        span.setAttribute('http.route', route);
+        span.updateName(`${req.method} ${route}`);
+      }
+
+      span.setAttribute('http.status_code', res.statusCode);
+
+      if (includeBusinessContext) {
+        addBusinessContext(span, { endpoint: `${req.method} ${route || path}` });
+      }
+
+      if (ownsSpan) {
+        if (res.statusCode >= 500) {
+          span.setStatus({ code: SpanStatusCode.ERROR, message: `HTTP ${res.statusCode}` });
+        }
+        tracer.endSpan(span);
+      }
+    });
+
+    if (ownsSpan) {
+      return context.with(trace.setSpan(context.active(), span), next);
+    }
+
+    return next();
+  };
+}
+
+/**
+ * Resolve the HTTP status code for an error
+ * @param {Error} error - Error object
+ * @returns {number} HTTP status code (defaults to 500)
+ */
+function getErrorStatusCode(error) {
+  const status = Number(error && (error.status || error.statusCode));
+  return Number.isInteger(status) && status >= 400 && status <= 599 ? status : 500;
+}
+
+/**
+ * Default JSON error body
+ * @param {Error} error - Error object
+ * @param {Object} details - Response details
+ * @param {number} details.statusCode - HTTP status code
+ * @param {string|null} details.traceId - Trace id of the request span
+ * @returns {Object} JSON response body
+ */
+function defaultErrorBody(error, { statusCode, traceId }) {
+  return {
+    error: statusCode >= 500 ? 'Internal server error' : error.message,
+    status: statusCode,
+    trace_id: traceId,
+    timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * Create Express error middleware that records errors on the request span
+ * @param {Object} tracer - Tracer facade from createTracer or a DynatraceTracer
+ * @param {Object} options - Middleware options
+ * @param {boolean} options.logErrors - Log errors through the ODN logger (default: true)
+ * @param {boolean} options.includeStackTrace - Add error.stack_preview to the span (default: false)
+ * @param {boolean} options.respond - Render a JSON error body instead of calling next(err) (default: false)
+ * @param {Function} options.formatError - Build the JSON body: (error, { statusCode, traceId, req }) => Object
+ * @returns {Function} Express error middleware
+ */
+function createErrorMiddleware(tracer, options = {}) {
+  if (!tracer) {
+    throw new Error('tracer is required for createErrorMiddleware');
+  }
+
+  const {
+    logErrors = true,
+    includeStackTrace = false,
+    respond = false,
+    formatError = defaultErrorBody
+  } = options;
+
+  // Express identifies error handlers by their four-argument signature
+  return function odnErrorMiddleware(error, req, res, next) {
+    const span = req.span || tracer.getCurrentSpan();
+    const statusCode = getErrorStatusCode(error);
+    const traceId = span ? span.spanContext().traceId : null;
+
+    if (span) {
+      addErrorDetails(span, error, {
+        step: 'express_request',
+        operation: `${req.method} ${getRouteTemplate(req) || getRequestPath(req)}`,
+        includeStackTrace
+      });
+      span.setAttribute('http.status_code', statusCode);
+    }
+
+    if (logErrors) {
+      logger.error(`${req.method} ${req.originalUrl || req.url} failed`, {
+        trace_id: traceId,
+        status: statusCode,
+        error
+      });
+    }
+
+    if (!respond || res.headersSent) {
+      return next(error);
+    }
+
+    res.status(statusCode).json(formatError(error, { statusCode, traceId, req }));
+  };
+}
+
+// CommonJS exports
+module.exports = {
+  createExpressMiddleware,
+  createErrorMiddleware,
+  getErrorStatusCode,
+  getRouteTemplate
+};
@@ -0,0 +1,76 @@
+// src/processors/fan-out-span-processor.js - Span Processor Fan-Out (CommonJS)
+
+const { createLogger } = require('../utils/logger.js');
+
+const logger = createLogger('exporter');
+
+/**
+ * Span processor that hands every span to one batch processor per destination
+ * Each destination keeps its own queue and export timer, and a failing destination
+ * (a throwing processor or a rejected flush) never blocks the others
+ */
+class FanOutSpanProcessor {
+  #destinations;
+
+  /**
+   * @param {Array<Object>} destinations - { name, processor } per destination
+   */
+  constructor(destinations) {
+    this.#destinations = destinations;
+  }
+
+  onStart(span, parentContext) {
+    this.#forEach('onStart', processor => processor.onStart(span, parentContext));
+  }
+
+  onEnd(span) {
+    this.#forEach('onEnd', processor => processor.onEnd(span));
+  }
+
+  forceFlush() {
+    return this.#settle('forceFlush');
+  }
+
+  shutdown() {
+    return this.#settle('shutdown');
+  }
+
+  /**
+   * Call every destination, logging (not rethrowing) errors
+   * @param {string} operation - Operation name for the log message
+   * @param {Function} call - (processor) => void
+   */
+  #forEach(operation, call) {
+    this.#destinations.forEach(({ name, processor }) => {
+      try {
+        call(processor);
+      } catch (error) {
+        logger.error('Span destination failed', { destination: name, operation, error });
+      }
+    });
+  }
+
+  /**
+   * Run an async operation on every destination and wait for all of them
+   * @param {string} operation - 'forceFlush' or 'shutdown'
+   * @returns {Promise<void>}
+   */
+  async #settle(operation) {
+    const results = await Promise.allSettled(this.#destinations.map(({ processor }) => processor[operation]()));
+
+    results.forEach((result, index) => {
+      if (result.status === 'rejected') {
+        logger.error('Span destination failed', {
+          destination: this.#destinations[index].name,
+          operation,
+          error: result.reason
+        });
+      }
+    });
+  }
+}
+
+// CommonJS exports
+module.exports = {
+  FanOutSpanProcessor
+};
@@ -0,0 +1,100 @@
+// src/processors/monitored-batch-span-processor.js - Batch Span Processor with Queue Counters (CommonJS)
+
+const { TraceFlags } = require('@opentelemetry/api');
+const { BatchSpanProcessor } = require('@opentelemetry/sdk-trace-base');
+const { EXPORT_SUCCESS } = require('../exporters/otlp-http-exporter.js');
+
+const DEFAULT_MAX_QUEUE_SIZE = 2048;
+
+/**
+ * Exporter wrapper reporting what leaves the batch queue and batches that failed for good
+ */
+class QueueTrackingExporter {
+  #exporter;
+  #queue;
+
+  /**
+   * @param {Object} exporter - Span exporter
+   * @param {Object} queue - Counters shared with the processor: { depth, onExport, onFailure }
+   */
+  constructor(exporter, queue) {
+    this.#exporter = exporter;
+    this.#queue = queue;
+  }
+
+  export(spans, resultCallback) {
+    this.#queue.onExport(spans.length);
+    this.#exporter.export(spans, (result) => {
+      if (result.code !== EXPORT_SUCCESS) {
+        this.#queue.onFailure(spans.length);
+      }
+      resultCallback(result);
+    });
+  }
+
+  forceFlush() {
+    return typeof this.#exporter.forceFlush === 'function' ? this.#exporter.forceFlush() : Promise.resolve();
+  }
+
+  shutdown() {
+    return this.#exporter.shutdown();
+  }
+}
+
+/**
+ * BatchSpanProcessor that reports its queue depth and dropped spans to ExportStats
+ * The SDK processor keeps these private, so the queue is mirrored: sampled spans enter it
+ * until maxQueueSize is reached (the SDK drops the rest), and leave it with each exported batch
+ */
+class MonitoredBatchSpanProcessor extends BatchSpanProcessor {
+  #queue;
+  #maxQueueSize;
+  #isShutdown = false;
+
+  /**
+   * @param {Object} exporter - Span exporter
+   * @param {Object} config - BatchSpanProcessor settings (maxQueueSize, maxExportBatchSize, ...)
+   * @param {Object} options - Monitoring options
+   * @param {string} options.signal - Counters key ('traces' or 'traces:<destination>')
+   * @param {ExportStats} options.stats - Pipeline counters
+   */
+  constructor(exporter, config, { signal, stats }) {
+    const queue = {
+      depth: 0,
+      onExport: (count) => {
+        queue.depth = Math.max(0, queue.depth - count);
+        stats.setPending(signal, queue.depth);
+      },
+      onFailure: (count) => stats.recordDropped(signal, 'exportFailed', count),
+      onDrop: () => stats.recordDropped(signal, 'queueFull', 1),
+      onEnqueue: () => stats.setPending(signal, queue.depth)
+    };
+    super(new QueueTrackingExporter(exporter, queue), config);
+
+    this.#queue = queue;
+    this.#maxQueueSize = config.maxQueueSize || DEFAULT_MAX_QUEUE_SIZE;
+  }
+
+  onEnd(span) {
+    // Same conditions under which the SDK processor queues or drops the span
+    if (!this.#isShutdown && (span.spanContext().traceFlags & TraceFlags.SAMPLED) !== 0) {
+      if (this.#queue.depth >= this.#maxQueueSize) {
+        this.#queue.onDrop();
+      } else {
+        this.#queue.depth += 1;
+        this.#queue.onEnqueue();
+      }
+    }
+    super.onEnd(span);
+  }
+
+  shutdown() {
+    this.#isShutdown = true;
+    return super.shutdown();
+  }
+}
+
+// CommonJS exports
+module.exports = {
+  MonitoredBatchSpanProcessor
+};
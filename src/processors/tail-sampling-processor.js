@@ -0,0 +1,224 @@
+// src/processors/tail-sampling-processor.js - Tail-Based Sampling Span Processor (CommonJS)
+
+const { trace, SpanStatusCode } = require('@opentelemetry/api');
+
+/**
+ * Default tail sampling settings
+ */
+const DEFAULT_TAIL_SAMPLING = {
+  latencyThresholdMs: 2000,
+  maxTraces: 1000,
+  maxSpansPerTrace: 500,
+  maxTraceAgeMs: 30000,
+  decisionCacheSize: 10000
+};
+
+/**
+ * Convert a span duration ([seconds, nanos]) to milliseconds
+ * @param {Array<number>} duration - HrTime duration
+ * @returns {number} Duration in milliseconds
+ */
+function durationToMs(duration) {
+  return duration[0] * 1e3 + duration[1] / 1e6;
+}
+
+/**
+ * Check whether a finished span recorded an error
+ * @param {ReadableSpan} span - Finished span
+ * @returns {boolean} True if span has error=true or an ERROR status
+ */
+function hasError(span) {
+  return span.attributes.error === true || span.status.code === SpanStatusCode.ERROR;
+}
+
+/**
+ * Deterministic ratio decision based on the trace id, so every service
+ * sampling the same trace at the same rate reaches the same decision
+ * @param {string} traceId - Hex trace id
+ * @param {number} rate - Sampling ratio between 0 and 1
+ * @returns {boolean} True if the trace is kept
+ */
+function isTraceIdSampled(traceId, rate) {
+  if (rate >= 1) return true;
+  if (rate <= 0) return false;
+  return parseInt(traceId.slice(-8), 16) / 0xffffffff < rate;
+}
+
+/**
+ * Span processor that buffers each local trace until its root span ends, then
+ * forwards it downstream when it contains an error, exceeds the latency
+ * threshold, or is picked by the samplingRate ratio
+ */
+class TailSamplingSpanProcessor {
+  #downstream;
+  #samplingRate;
+  #options;
+  #traces = new Map();
+  #decisions = new Map();
+  #sweepTimer;
+
+  /**
+   * @param {SpanProcessor} downstream - Processor receiving kept spans (e.g. BatchSpanProcessor)
+   * @param {Object} options - Tail sampling options
+   * @param {number} options.samplingRate - Ratio for traces without errors or high latency
+   * @param {Function} options.getSamplingRate - (rootSpan) => ratio for the trace, e.g. from samplingRules
+   *   (optional, default: samplingRate); called when the local root span starts
+   * @param {number} options.latencyThresholdMs - Always keep traces whose root span is slower
+   * @param {number} options.maxTraces - Max traces buffered at once; oldest is decided early when exceeded
+   * @param {number} options.maxSpansPerTrace - Max spans buffered per trace before it is decided early
+   * @param {number} options.maxTraceAgeMs - Traces buffered longer than this are decided early
+   * @param {number} options.decisionCacheSize - Remembered decisions for spans ending after their root
+   * @param {Function} options.onDrop - Called with the number of spans discarded by a decision (optional)
+   */
+  constructor(downstream, options = {}) {
+    if (!downstream) {
+      throw new Error('downstream span processor is required for TailSamplingSpanProcessor');
+    }
+
+    this.#downstream = downstream;
+    this.#samplingRate = options.samplingRate ?? 1.0;
+    this.#options = { ...DEFAULT_TAIL_SAMPLING, ...options };
+
+    this.#sweepTimer = setInterval(() => this.#evictExpired(), Math.min(this.#options.maxTraceAgeMs, 5000));
+    this.#sweepTimer.unref();
+  }
+
+  /**
+   * Change the sampling ratio and latency threshold for traces decided afterwards
+   * @param {Object} options - Tail sampling options
+   * @param {number} options.samplingRate - Ratio for traces without errors or high latency
+   * @param {number} options.latencyThresholdMs - Always keep traces whose root span is slower
+   */
+  update({ samplingRate, latencyThresholdMs } = {}) {
+    if (samplingRate !== undefined) this.#samplingRate = samplingRate;
+    if (latencyThresholdMs !== undefined) this.#options.latencyThresholdMs = latencyThresholdMs;
+  }
+
+  onStart(span, parentContext) {
+    const traceId = span.spanContext().traceId;
+
+    if (!this.#decisions.has(traceId) && !this.#traces.has(traceId)) {
+      const parentSpanContext = trace.getSpanContext(parentContext);
+      const isLocalRoot = !parentSpanContext || parentSpanContext.isRemote;
+
+      if (isLocalRoot) {
+        this.#traces.set(traceId, {
+          rootSpanId: span.spanContext().spanId,
+          startedAt: Date.now(),
+          samplingRate: this.#options.getSamplingRate ? this.#options.getSamplingRate(span) : undefined,
+          spans: [],
+          keep: false
+        });
+        this.#enforceTraceLimit();
+      }
+    }
+
+    this.#downstream.onStart(span, parentContext);
+  }
+
+  onEnd(span) {
+    const traceId = span.spanContext().traceId;
+
+    // Trace already decided (span ended after its root, or trace evicted)
+    if (this.#decisions.has(traceId)) {
+      if (this.#decisions.get(traceId)) {
+        this.#downstream.onEnd(span);
+      } else {
+        this.#options.onDrop?.(1);
+      }
+      return;
+    }
+
+    const entry = this.#traces.get(traceId);
+    if (!entry) {
+      // Started before this processor was active; nothing to correlate with
+      this.#downstream.onEnd(span);
+      return;
+    }
+
+    entry.spans.push(span);
+    if (hasError(span)) {
+      entry.keep = true;
+    }
+
+    if (span.spanContext().spanId === entry.rootSpanId) {
+      if (durationToMs(span.duration) >= this.#options.latencyThresholdMs) {
+        entry.keep = true;
+      }
+      this.#decide(traceId, entry);
+    } else if (entry.spans.length >= this.#options.maxSpansPerTrace) {
+      this.#decide(traceId, entry);
+    }
+  }
+
+  /**
+   * Make the sampling decision for a buffered trace and release its spans
+   * @param {string} traceId - Trace id
+   * @param {Object} entry - Buffered trace
+   */
+  #decide(traceId, entry) {
+    const keep = entry.keep || isTraceIdSampled(traceId, entry.samplingRate ?? this.#samplingRate);
+
+    this.#traces.delete(traceId);
+    this.#rememberDecision(traceId, keep);
+
+    if (keep) {
+      entry.spans.forEach(span => this.#downstream.onEnd(span));
+    } else if (entry.spans.length > 0) {
+      this.#options.onDrop?.(entry.spans.length);
+    }
+  }
+
+  #rememberDecision(traceId, keep) {
+    this.#decisions.set(traceId, keep);
+
+    if (this.#decisions.size > this.#options.decisionCacheSize) {
+      this.#decisions.delete(this.#decisions.keys().next().value);
+    }
+  }
+
+  /**
+   * Decide the oldest traces early when too many are buffered
+   */
+  #enforceTraceLimit() {
+    while (this.#traces.size > this.#options.maxTraces) {
+      const [traceId, entry] = this.#traces.entries().next().value;
+      this.#decide(traceId, entry);
+    }
+  }
+
+  /**
+   * Decide traces whose root span has not ended within maxTraceAgeMs
+   */
+  #evictExpired() {
+    const cutoff = Date.now() - this.#options.maxTraceAgeMs;
+
+    for (const [traceId, entry] of this.#traces) {
+      // Map iteration follows insertion order, so the remaining traces are newer
+      if (entry.startedAt > cutoff) break;
+      this.#decide(traceId, entry);
+    }
+  }
+
+  /**
+   * Decide all buffered traces, then flush downstream
+   * @returns {Promise<void>}
+   */
+  forceFlush() {
+    for (const [traceId, entry] of this.#traces) {
+      this.#decide(traceId, entry);
+    }
+    return this.#downstream.forceFlush();
+  }
+
+  shutdown() {
+    clearInterval(this.#sweepTimer);
+    return this.forceFlush().then(() => this.#downstream.shutdown());
+  }
+}
+
+// CommonJS exports
+module.exports = {
+  TailSamplingSpanProcessor,
+  DEFAULT_TAIL_SAMPLING
+};
@@ -0,0 +1,142 @@
+// src/resources/dynatrace-metadata-detector.js - Dynatrace OneAgent Metadata Enrichment (CommonJS)
+
+const fs = require('fs');
+const path = require('path');
+const { resources: { Resource } } = require('@opentelemetry/sdk-node');
+const { createLogger } = require('../utils/logger.js');
+
+const logger = createLogger('resource');
+
+/**
+ * OneAgent intercepts reads of this file name and returns the path of the actual properties file
+ */
+const INDIRECT_METADATA_FILE = 'dt_metadata_e617c525.properties';
+
+/**
+ * Metadata files read in order; later files add to (and override) earlier ones
+ * The /var/lib/dynatrace/enrichment files are written by OneAgent on hosts and
+ * mounted into pods by the Dynatrace Operator on Kubernetes
+ */
+const DEFAULT_METADATA_FILES = [
+  INDIRECT_METADATA_FILE,
+  '/var/lib/dynatrace/enrichment/dt_metadata.properties',
+  '/var/lib/dynatrace/enrichment/dt_metadata.json',
+  '/var/lib/dynatrace/enrichment/dt_host_metadata.properties',
+  '/var/lib/dynatrace/enrichment/dt_host_metadata.json'
+];
+
+/**
+ * Parse Java-style properties content ('key=value' lines, '#' and '!' comments)
+ * @param {string} content - File content
+ * @returns {Object} Parsed attributes
+ */
+function parseProperties(content) {
+  return content.split(/\r?\n/).reduce((attributes, line) => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#') || trimmed.startsWith('!')) return attributes;
+
+    const separator = trimmed.indexOf('=');
+    if (separator > 0) {
+      attributes[trimmed.slice(0, separator).trim()] = trimmed.slice(separator + 1).trim();
+    }
+    return attributes;
+  }, {});
+}
+
+/**
+ * Parse JSON metadata content, keeping primitive values only
+ * @param {string} content - File content
+ * @returns {Object} Parsed attributes
+ */
+function parseJson(content) {
+  const parsed = JSON.parse(content);
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) return {};
+
+  return Object.fromEntries(Object.entries(parsed).filter(([, value]) =>
+    ['string', 'number', 'boolean'].includes(typeof value)));
+}
+
+/**
+ * Read a file, treating a missing file as absent
+ * Files are read without a stat first: INDIRECT_METADATA_FILE only exists while OneAgent serves the read
+ * @param {string} file - File path
+ * @returns {string|null} Content, null if the file does not exist
+ */
+function readFileIfPresent(file) {
+  try {
+    return fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * Read one metadata file, following the OneAgent indirection for INDIRECT_METADATA_FILE
+ * @param {string} file - Metadata file path
+ * @returns {Object|null} Attributes, null if the file does not exist
+ */
+function readMetadataFile(file) {
+  let filePath = file;
+
+  if (path.basename(file) === INDIRECT_METADATA_FILE) {
+    const indirection = readFileIfPresent(file);
+    filePath = indirection && indirection.trim();
+    if (!filePath) return null;
+  }
+
+  const content = readFileIfPresent(filePath);
+  if (content === null) return null;
+  return filePath.endsWith('.json') ? parseJson(content) : parseProperties(content);
+}
+
+/**
+ * Read Dynatrace enrichment attributes (dt.entity.host, dt.entity.process_group_instance, ...)
+ * Missing files are skipped; unreadable or malformed files are logged and skipped
+ * @param {Array<string>} files - Metadata files (default: DEFAULT_METADATA_FILES)
+ * @returns {Object} Merged attributes
+ */
+function readDynatraceMetadata(files = DEFAULT_METADATA_FILES) {
+  return files.reduce((attributes, file) => {
+    try {
+      const fileAttributes = readMetadataFile(file);
+      if (fileAttributes) {
+        logger.debug('Loaded Dynatrace metadata', { file, attributes: Object.keys(fileAttributes).length });
+        Object.assign(attributes, fileAttributes);
+      }
+    } catch (error) {
+      logger.warn('Failed to read Dynatrace metadata file', { file, error: error.message });
+    }
+    return attributes;
+  }, {});
+}
+
+/**
+ * Synchronous resource detector for Dynatrace OneAgent metadata
+ */
+class DynatraceMetadataDetector {
+  #files;
+
+  /**
+   * @param {Object} options - Detector options
+   * @param {Array<string>} options.files - Metadata files to read (default: DEFAULT_METADATA_FILES)
+   */
+  constructor(options = {}) {
+    this.#files = options.files || DEFAULT_METADATA_FILES;
+  }
+
+  /**
+   * Detect the Dynatrace metadata resource
+   * @returns {Resource} Resource with the enrichment attributes (empty if none found)
+   */
+  detect() {
+    return new Resource(readDynatraceMetadata(this.#files));
+  }
+}
+
+// CommonJS exports
+module.exports = {
+  DEFAULT_METADATA_FILES,
+  DynatraceMetadataDetector,
+  readDynatraceMetadata
+};
@@ -0,0 +1,177 @@
+// src/resources/resource-detectors.js - Pluggable Resource Detection (CommonJS)
+
+const fs = require('fs');
+const os = require('os');
+// The SDK's own copy of @opentelemetry/resources, so resources merge with the ones it creates
+const { resources: sdkResources } = require('@opentelemetry/sdk-node');
+const { DynatraceMetadataDetector } = require('./dynatrace-metadata-detector.js');
+const { createLogger } = require('../utils/logger.js');
+
+const { Resource } = sdkResources;
+const logger = createLogger('resource');
+
+const CONTAINER_ID_PATTERN = /[0-9a-f]{64}/g;
+
+/**
+ * Node.js process.arch values that differ from the semantic convention host.arch values
+ */
+const HOST_ARCH = {
+  x64: 'amd64',
+  arm: 'arm32',
+  ppc: 'ppc32',
+  ia32: 'x86'
+};
+
+/**
+ * Downward-API environment variables checked for each Kubernetes attribute, in order
+ */
+const KUBERNETES_ENV_VARIABLES = {
+  'k8s.pod.name': ['K8S_POD_NAME', 'KUBERNETES_POD_NAME', 'POD_NAME'],
+  'k8s.pod.uid': ['K8S_POD_UID', 'KUBERNETES_POD_UID', 'POD_UID'],
+  'k8s.namespace.name': ['K8S_NAMESPACE_NAME', 'KUBERNETES_NAMESPACE', 'POD_NAMESPACE'],
+  'k8s.node.name': ['K8S_NODE_NAME', 'KUBERNETES_NODE_NAME', 'NODE_NAME'],
+  'k8s.container.name': ['K8S_CONTAINER_NAME', 'KUBERNETES_CONTAINER_NAME'],
+  'k8s.cluster.name': ['K8S_CLUSTER_NAME', 'KUBERNETES_CLUSTER_NAME']
+};
+
+/**
+ * Host detector (host.name, host.arch)
+ * The SDK's hostDetectorSync also resolves host.id asynchronously, which the synchronous
+ * resource built at startup cannot wait for
+ */
+class HostDetector {
+  detect() {
+    return new Resource({
+      'host.name': os.hostname(),
+      'host.arch': HOST_ARCH[process.arch] || process.arch
+    });
+  }
+}
+
+/**
+ * Container detector: container.id parsed from the cgroup (v1) or mountinfo (v2) files
+ */
+class ContainerDetector {
+  #cgroupFile;
+  #mountinfoFile;
+
+  /**
+   * @param {Object} options - Detector options
+   * @param {string} options.cgroupFile - cgroup v1 file (default: '/proc/self/cgroup')
+   * @param {string} options.mountinfoFile - cgroup v2 mountinfo file (default: '/proc/self/mountinfo')
+   */
+  constructor(options = {}) {
+    this.#cgroupFile = options.cgroupFile || '/proc/self/cgroup';
+    this.#mountinfoFile = options.mountinfoFile || '/proc/self/mountinfo';
+  }
+
+  /**
+   * Read the last 64-hex-digit id from a file
+   * @param {string} file - File path
+   * @param {Function} filterLine - Lines considered
+   * @returns {string|null} Container id
+   */
+  #readContainerId(file, filterLine) {
+    if (!fs.existsSync(file)) return null;
+
+    const ids = fs.readFileSync(file, 'utf8')
+      .split('\n')
+      .filter(filterLine)
+      .flatMap(line => line.match(CONTAINER_ID_PATTERN) || []);
+
+    return ids.length > 0 ? ids[ids.length - 1] : null;
+  }
+
+  detect() {
+    const containerId = this.#readContainerId(this.#cgroupFile, () => true)
+      || this.#readContainerId(this.#mountinfoFile, line => line.includes('/containers/') || line.includes('/hostname'));
+
+    return new Resource(containerId ? { 'container.id': containerId } : {});
+  }
+}
+
+/**
+ * Kubernetes detector: pod, namespace, node and container from downward-API environment variables
+ * Inside a pod without downward-API variables, the hostname is used as the pod name
+ */
+class KubernetesDetector {
+  #env;
+
+  /**
+   * @param {Object} options - Detector options
+   * @param {Object} options.env - Environment variables (default: process.env)
+   */
+  constructor(options = {}) {
+    this.#env = options.env || process.env;
+  }
+
+  detect() {
+    const attributes = {};
+
+    Object.entries(KUBERNETES_ENV_VARIABLES).forEach(([attribute, variables]) => {
+      const variable = variables.find(name => this.#env[name]);
+      if (variable) attributes[attribute] = this.#env[variable];
+    });
+
+    if (!attributes['k8s.pod.name'] && this.#env.KUBERNETES_SERVICE_HOST) {
+      attributes['k8s.pod.name'] = os.hostname();
+    }
+
+    return new Resource(attributes);
+  }
+}
+
+/**
+ * Built-in detectors by resourceDetectors key, in merge order
+ */
+const RESOURCE_DETECTORS = {
+  host: () => new HostDetector(),
+  os: () => sdkResources.osDetectorSync,
+  process: () => sdkResources.processDetectorSync,
+  container: (settings) => new ContainerDetector(settings),
+  kubernetes: () => new KubernetesDetector(),
+  dynatrace: (settings) => new DynatraceMetadataDetector({ files: settings.files || undefined })
+};
+
+/**
+ * Run the enabled detectors and merge their results
+ * Built-in detectors run in RESOURCE_DETECTORS order, custom ones ({ enabled, detect }) after them;
+ * later detectors win on conflicting attributes and a failing detector is skipped
+ * @param {Object} resourceDetectors - Settings keyed by detector name (e.g. { host: { enabled: true } })
+ * @returns {Resource} Detected resource
+ */
+function detectResource(resourceDetectors = {}) {
+  return Object.entries(resourceDetectors)
+    .filter(([, settings]) => settings && settings.enabled)
+    .sort(([a], [b]) => {
+      const names = Object.keys(RESOURCE_DETECTORS);
+      const rank = (name) => (names.includes(name) ? names.indexOf(name) : names.length);
+      return rank(a) - rank(b);
+    })
+    .reduce((resource, [name, settings]) => {
+      try {
+        const detector = RESOURCE_DETECTORS[name] ? RESOURCE_DETECTORS[name](settings) : settings;
+        const detected = detector.detect();
+        const detectedResource = detected && typeof detected.merge === 'function'
+          ? detected
+          : new Resource(detected || {});
+
+        logger.debug('Detected resource attributes', {
+          detector: name,
+          attributes: Object.keys(detectedResource.attributes).length
+        });
+        return resource.merge(detectedResource);
+      } catch (error) {
+        logger.warn('Resource detector failed', { detector: name, error: error.message });
+        return resource;
+      }
+    }, Resource.empty());
+}
+
+// CommonJS exports
+module.exports = {
+  RESOURCE_DETECTORS,
+  ContainerDetector,
+  KubernetesDetector,
+  detectResource
+};
@@ -0,0 +1,36 @@
+// src/sampling/counting-sampler.js - Sampler Decision Counters (CommonJS)
+
+const { SamplingDecision } = require('@opentelemetry/sdk-trace-base');
+
+/**
+ * Sampler wrapper counting every span start and the spans sampled out
+ * The SDK consults the sampler for each new span, including children of sampled-out parents
+ */
+class CountingSampler {
+  #sampler;
+  #stats;
+
+  /**
+   * @param {Sampler} sampler - Sampler making the decisions (e.g. createSampler(rootSampler))
+   * @param {ExportStats} stats - Pipeline counters
+   */
+  constructor(sampler, stats) {
+    this.#sampler = sampler;
+    this.#stats = stats;
+  }
+
+  shouldSample(context, traceId, spanName, spanKind, attributes, links) {
+    const result = this.#sampler.shouldSample(context, traceId, spanName, spanKind, attributes, links);
+    this.#stats.recordSpanStart(result.decision === SamplingDecision.RECORD_AND_SAMPLED);
+    return result;
+  }
+
+  toString() {
+    return this.#sampler.toString();
+  }
+}
+
+// CommonJS exports
+module.exports = {
+  CountingSampler
+};
@@ -0,0 +1,151 @@
+// src/sampling/rule-based-sampler.js - Ratio and Rule Based Head Sampling (CommonJS)
+
+const {
+  ParentBasedSampler,
+  TraceIdRatioBasedSampler,
+  AlwaysOnSampler,
+  AlwaysOffSampler
+} = require('@opentelemetry/sdk-trace-base');
+const { compilePattern } = require('../utils/route-patterns.js');
+
+/**
+ * Create the sampler for a fixed ratio
+ * @param {number} rate - Sampling ratio between 0 and 1
+ * @returns {Sampler} OpenTelemetry sampler
+ */
+function createRatioSampler(rate) {
+  if (rate >= 1) return new AlwaysOnSampler();
+  if (rate <= 0) return new AlwaysOffSampler();
+  return new TraceIdRatioBasedSampler(rate);
+}
+
+/**
+ * Get the request path of an HTTP server span from its start attributes
+ * @param {Object} attributes - Span start attributes
+ * @returns {string|undefined} Request path without query string
+ */
+function getRequestPath(attributes = {}) {
+  const target = attributes['http.target'] || attributes['url.path'];
+  if (target) return String(target).split('?')[0];
+
+  if (attributes['http.url']) {
+    try {
+      return new URL(attributes['http.url']).pathname;
+    } catch (e) {
+      return undefined;
+    }
+  }
+
+  return undefined;
+}
+
+/**
+ * Compile a sampling rule
+ * @param {Object} rule - Rule definition
+ * @param {string|RegExp} rule.route - Request path glob or RegExp
+ * @param {string} rule.method - HTTP method (optional, with route)
+ * @param {string|RegExp} rule.spanName - Span name glob or RegExp
+ * @param {number} rule.rate - Sampling ratio for matching root spans
+ * @returns {Object} Compiled rule
+ */
+function compileRule(rule) {
+  return {
+    route: rule.route !== undefined ? compilePattern(rule.route) : null,
+    method: rule.method ? rule.method.toUpperCase() : null,
+    spanName: rule.spanName !== undefined ? compilePattern(rule.spanName) : null,
+    rate: rule.rate,
+    sampler: createRatioSampler(rule.rate)
+  };
+}
+
+/**
+ * Root sampler applying the first matching rule, falling back to samplingRate
+ * With recordAll (tail sampling) every root span is sampled and the rates are only
+ * looked up through getRate when the trace is decided
+ */
+class RuleBasedSampler {
+  #rules;
+  #defaultRate;
+  #defaultSampler;
+  #recordAll;
+
+  /**
+   * @param {Object} options - Sampler options
+   * @param {number} options.samplingRate - Default sampling ratio
+   * @param {Array<Object>} options.samplingRules - Ordered sampling rules
+   * @param {boolean} options.recordAll - Sample every root span (default: false)
+   */
+  constructor({ samplingRate = 1.0, samplingRules = [], recordAll = false } = {}) {
+    this.update({ samplingRate, samplingRules, recordAll });
+  }
+
+  /**
+   * Replace the default rate and rules; applies to spans started afterwards
+   * @param {Object} options - Sampler options
+   * @param {number} options.samplingRate - Default sampling ratio
+   * @param {Array<Object>} options.samplingRules - Ordered sampling rules
+   * @param {boolean} options.recordAll - Sample every root span (default: false)
+   */
+  update({ samplingRate = 1.0, samplingRules = [], recordAll = false } = {}) {
+    this.#defaultRate = samplingRate;
+    this.#defaultSampler = createRatioSampler(recordAll ? 1.0 : samplingRate);
+    this.#rules = samplingRules.map(compileRule);
+    this.#recordAll = recordAll;
+  }
+
+  /**
+   * Sampling ratio for a root span: the first matching rule's rate, or samplingRate
+   * @param {string} spanName - Span name
+   * @param {Object} attributes - Span start attributes
+   * @returns {number} Sampling ratio between 0 and 1
+   */
+  getRate(spanName, attributes = {}) {
+    const rule = this.#findRule(spanName, attributes);
+    return rule ? rule.rate : this.#defaultRate;
+  }
+
+  /**
+   * Find the first rule matching a span
+   * @param {string} spanName - Span name
+   * @param {Object} attributes - Span start attributes
+   * @returns {Object|undefined} Matching rule
+   */
+  #findRule(spanName, attributes) {
+    const path = getRequestPath(attributes);
+    const method = attributes['http.method'] || attributes['http.request.method'];
+
+    return this.#rules.find(rule => {
+      if (rule.spanName && !rule.spanName.test(spanName)) return false;
+      if (rule.route && (path === undefined || !rule.route.test(path))) return false;
+      if (rule.method && String(method).toUpperCase() !== rule.method) return false;
+      return true;
+    });
+  }
+
+  shouldSample(context, traceId, spanName, spanKind, attributes = {}, links) {
+    const rule = this.#recordAll ? undefined : this.#findRule(spanName, attributes);
+    const sampler = rule ? rule.sampler : this.#defaultSampler;
+
+    return sampler.shouldSample(context, traceId, spanName, spanKind, attributes, links);
+  }
+
+  toString() {
+    return `RuleBasedSampler{samplingRate=${this.#defaultRate}, rules=${this.#rules.length}, recordAll=${this.#recordAll}}`;
+  }
+}
+
+/**
+ * Create the parent-based sampler used by OtelDynatrace
+ * Rules apply to root spans; child spans follow their parent's decision
+ * @param {RuleBasedSampler} root - Root sampler (kept by the caller for runtime updates)
+ * @returns {Sampler} OpenTelemetry sampler
+ */
+function createSampler(root) {
+  return new ParentBasedSampler({ root });
+}
+
+// CommonJS exports
+module.exports = {
+  RuleBasedSampler,
+  createSampler
+};
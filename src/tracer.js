@@ -2,6 +2,9 @@
 
 const { trace, context, SpanStatusCode } = require('@opentelemetry/api');
 const { addErrorDetails, addBusinessContext } = require('./helpers/span-helpers.js');
+const { createLogger } = require('./utils/logger.js');
+
+const logger = createLogger('tracer');
 
 /**
  * Enhanced Dynatrace Tracer class with comprehensive tracing capabilities
@@ -85,7 +88,7 @@ class DynatraceTracer {
    */
   endSpan(span, finalAttributes = {}) {
     if (!span) {
-      console.warn('No span provided to endSpan');
+      logger.warn('No span provided to endSpan');
       return;
     }
 
@@ -101,7 +104,7 @@ class DynatraceTracer {
       // End the span
       span.end();
     } catch (error) {
-      console.error('Error ending span:', error);
+      logger.error('Error ending span', { error });
       span.end(); // Still try to end the span
     }
   }
@@ -306,7 +309,7 @@ class DynatraceTracer {
   createChildSpan(name, attributes = {}) {
     const parentSpan = trace.getActiveSpan();
     if (!parentSpan) {
-      console.warn('No active span found for creating child span');
+      logger.debug('No active span found for creating child span', { name });
       return this.startSpan(name, {}, attributes);
     }
 
@@ -0,0 +1,173 @@
+// src/utils/api-token.js - Dynatrace API Token Sources and Rotation (CommonJS)
+
+const fs = require('fs');
+const { createLogger, addSecretValue } = require('./logger.js');
+
+const logger = createLogger('auth');
+
+/**
+ * Dynatrace API token format: dt0c01.<24 character public part>.<64 character secret>
+ */
+const API_TOKEN_PATTERN = /^dt0c01\.[A-Z0-9]{24}\.[A-Z0-9]{64}$/;
+
+const DEFAULT_REFRESH_INTERVAL_MS = 300000;
+
+/**
+ * Check whether a value has the Dynatrace API token format
+ * @param {string} token - Token to check
+ * @returns {boolean} True for dt0c01 tokens
+ */
+function isValidApiToken(token) {
+  return typeof token === 'string' && API_TOKEN_PATTERN.test(token);
+}
+
+/**
+ * Read a token from a mounted secret file
+ * @param {string} filePath - Token file path
+ * @returns {string} Token without surrounding whitespace
+ */
+function readApiTokenFile(filePath) {
+  try {
+    return fs.readFileSync(filePath, 'utf8').trim();
+  } catch (error) {
+    throw new Error(`Failed to read dtApiTokenFile ${filePath}: ${error.code || error.message}`);
+  }
+}
+
+/**
+ * Holds the current API token and rotates it from dtApiTokenProvider or dtApiTokenFile
+ * Source precedence: dtApiTokenProvider > dtApiTokenFile > dtApiToken
+ */
+class ApiTokenManager {
+  #token;
+  #file;
+  #provider;
+  #refreshIntervalMs;
+  #refreshTimer = null;
+  #listeners = [];
+  #ready;
+  #isReady;
+
+  /**
+   * @param {Object} options - Token options (ODN configuration)
+   * @param {string} options.dtApiToken - Initial token (already read from dtApiTokenFile if set)
+   * @param {string} options.dtApiTokenFile - File re-read on every refresh
+   * @param {Function} options.dtApiTokenProvider - Returns the token (or a Promise of it) on every refresh
+   * @param {number} options.tokenRefreshIntervalMs - Refresh interval (default: 300000)
+   */
+  constructor(options = {}) {
+    this.#token = options.dtApiToken || null;
+    addSecretValue(this.#token);
+    this.#file = options.dtApiTokenFile || null;
+    this.#provider = typeof options.dtApiTokenProvider === 'function' ? options.dtApiTokenProvider : null;
+    this.#refreshIntervalMs = options.tokenRefreshIntervalMs || DEFAULT_REFRESH_INTERVAL_MS;
+
+    // Exports wait for the provider's first answer instead of going out unauthenticated
+    this.#isReady = !this.#provider;
+    this.#ready = this.#provider
+      ? this.refresh().finally(() => { this.#isReady = true; })
+      : Promise.resolve(false);
+  }
+
+  /**
+   * Resolves once the initial token is known
+   * @returns {Promise<boolean>}
+   */
+  get ready() {
+    return this.#ready;
+  }
+
+  /**
+   * Whether the initial token is known
+   * @returns {boolean}
+   */
+  get isReady() {
+    return this.#isReady;
+  }
+
+  /**
+   * Get the current token
+   * @returns {string|null} Token
+   */
+  getToken() {
+    return this.#token;
+  }
+
+  /**
+   * Register a listener called with the new token after each rotation
+   * @param {Function} listener - (token) => void
+   */
+  onRotate(listener) {
+    this.#listeners.push(listener);
+  }
+
+  /**
+   * Read the token from its source and rotate it when it changed
+   * Failing sources are logged and the current token is kept
+   * @returns {Promise<boolean>} True if the token was rotated
+   */
+  async refresh() {
+    let token;
+    try {
+      if (this.#provider) {
+        token = await this.#provider();
+      } else if (this.#file) {
+        token = readApiTokenFile(this.#file);
+      } else {
+        return false;
+      }
+    } catch (error) {
+      logger.warn('Failed to refresh API token', { error: error.message });
+      return false;
+    }
+
+    token = typeof token === 'string' ? token.trim() : token;
+    if (!token || token === this.#token) return false;
+
+    if (!isValidApiToken(token)) {
+      logger.warn('Refreshed API token is not in the dt0c01.<public>.<secret> format');
+    }
+
+    const isRotation = this.#token !== null;
+    this.#token = token;
+    addSecretValue(token);
+    logger.info(isRotation ? 'API token rotated' : 'API token loaded', {
+      source: this.#provider ? 'provider' : 'file'
+    });
+
+    this.#listeners.forEach(listener => {
+      try {
+        listener(token);
+      } catch (error) {
+        logger.error('API token rotation listener failed', { error });
+      }
+    });
+    return true;
+  }
+
+  /**
+   * Refresh periodically (only when the token comes from a file or provider)
+   */
+  start() {
+    if ((!this.#file && !this.#provider) || this.#refreshTimer) return;
+
+    this.#refreshTimer = setInterval(() => this.refresh(), this.#refreshIntervalMs);
+    this.#refreshTimer.unref();
+  }
+
+  /**
+   * Stop periodic refreshes
+   */
+  stop() {
+    clearInterval(this.#refreshTimer);
+    this.#refreshTimer = null;
+  }
+}
+
+// CommonJS exports
+module.exports = {
+  API_TOKEN_PATTERN,
+  isValidApiToken,
+  readApiTokenFile,
+  ApiTokenManager
+};
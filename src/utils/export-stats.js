@@ -0,0 +1,214 @@
+// src/utils/export-stats.js - Export Outcome Counters (CommonJS)
+
+/**
+ * Create the counters of one signal
+ * @returns {Object} Zeroed counters
+ */
+function createSignalStats() {
+  return {
+    batchesExported: 0,
+    batchesFailed: 0,
+    itemsExported: 0,
+    itemsFailed: 0,
+    retries: 0,
+    lastExportLatencyMs: null,
+    lastError: null,
+    // Batch span processor (traces): spans waiting for export, and spans dropped because the
+    // queue was full or the export failed for good
+    pending: 0,
+    itemsDroppedQueueFull: 0,
+    itemsDroppedExportFailed: 0,
+    // Persistent queue (persistentQueue.enabled)
+    queue: {
+      batchesQueued: 0,
+      batchesReplayed: 0,
+      batchesDiscarded: 0,
+      itemsQueued: 0,
+      itemsReplayed: 0,
+      itemsDiscarded: 0,
+      depth: 0,
+      bytes: 0
+    }
+  };
+}
+
+/**
+ * Check whether a counters key belongs to spans ('traces' or 'traces:<destination>')
+ * @param {string} signal - Counters key
+ * @returns {boolean} True for span counters
+ */
+function isTracesKey(signal) {
+  return signal === 'traces' || signal.startsWith('traces:');
+}
+
+/**
+ * Export pipeline counters, exposed by OtelDynatrace.getStats()
+ * Export outcomes are kept per signal (traces, metrics, logs) or per '<signal>:<destination>'
+ * for exporters entries; span sampling counters are kept once for the tracer
+ */
+class ExportStats {
+  #signals = {};
+  #spans = { started: 0, sampledOut: 0 };
+  #lastExport = null;
+  #lastError = null;
+
+  /**
+   * Get (and create) the counters of a signal
+   * @param {string} signal - Signal name
+   * @returns {Object} Counters
+   */
+  #get(signal) {
+    if (!this.#signals[signal]) {
+      this.#signals[signal] = createSignalStats();
+    }
+    return this.#signals[signal];
+  }
+
+  /**
+   * Record a retry of a failed export attempt
+   * @param {string} signal - Signal name
+   */
+  recordRetry(signal) {
+    this.#get(signal).retries += 1;
+  }
+
+  /**
+   * Record the final outcome of an export
+   * @param {string} signal - Signal name
+   * @param {Object} outcome - Export outcome
+   * @param {boolean} outcome.success - Whether the batch was delivered
+   * @param {number} outcome.items - Spans, metric data points or log records in the batch
+   * @param {number} outcome.latencyMs - Time from the first attempt to the outcome
+   * @param {Error} outcome.error - Last error (failures only)
+   */
+  recordExport(signal, { success, items, latencyMs, error }) {
+    const stats = this.#get(signal);
+    const time = new Date().toISOString();
+    stats.lastExportLatencyMs = latencyMs;
+    this.#lastExport = { signal, success, items, latencyMs, time };
+
+    if (success) {
+      stats.batchesExported += 1;
+      stats.itemsExported += items;
+      return;
+    }
+
+    stats.batchesFailed += 1;
+    stats.itemsFailed += items;
+    stats.lastError = {
+      message: error ? error.message : 'Unknown export error',
+      code: error && error.code !== undefined ? error.code : null,
+      time
+    };
+    this.#lastError = { signal, ...stats.lastError };
+  }
+
+  /**
+   * Record a span start and the head sampling decision
+   * @param {boolean} sampled - Whether the span is recorded and exported
+   */
+  recordSpanStart(sampled) {
+    this.#spans.started += 1;
+    if (!sampled) {
+      this.#spans.sampledOut += 1;
+    }
+  }
+
+  /**
+   * Record spans discarded by tail sampling
+   * @param {number} count - Spans
+   */
+  recordSampledOut(count) {
+    this.#spans.sampledOut += count;
+  }
+
+  /**
+   * Record spans dropped by a batch span processor
+   * @param {string} signal - Signal name
+   * @param {string} reason - 'queueFull' (maxQueueSize reached) or 'exportFailed' (export failed for good)
+   * @param {number} items - Spans
+   */
+  recordDropped(signal, reason, items) {
+    const suffix = reason.charAt(0).toUpperCase() + reason.slice(1);
+    this.#get(signal)[`itemsDropped${suffix}`] += items;
+  }
+
+  /**
+   * Update the number of spans waiting in a batch span processor
+   * @param {string} signal - Signal name
+   * @param {number} pending - Spans
+   */
+  setPending(signal, pending) {
+    this.#get(signal).pending = pending;
+  }
+
+  /**
+   * Record a persistent queue event
+   * @param {string} signal - Signal name
+   * @param {string} event - 'queued' (spilled to disk), 'replayed' (exported from disk) or 'discarded' (expired, evicted or rejected)
+   * @param {number} items - Items in the batch
+   */
+  recordQueueEvent(signal, event, items) {
+    const { queue } = this.#get(signal);
+    const suffix = event.charAt(0).toUpperCase() + event.slice(1);
+    queue[`batches${suffix}`] += 1;
+    queue[`items${suffix}`] += items;
+  }
+
+  /**
+   * Update the persistent queue size
+   * @param {string} signal - Signal name
+   * @param {Object} size - { depth, bytes } batches and bytes on disk
+   */
+  setQueueSize(signal, { depth, bytes }) {
+    Object.assign(this.#get(signal).queue, { depth, bytes });
+  }
+
+  /**
+   * Span totals over all destinations (a span sent to two destinations is exported twice)
+   * @returns {Object} { started, sampledOut, exported, dropped, queueDepth }
+   */
+  spanTotals() {
+    const totals = { ...this.#spans, exported: 0, dropped: 0, queueDepth: 0 };
+
+    Object.entries(this.#signals).filter(([signal]) => isTracesKey(signal)).forEach(([, stats]) => {
+      totals.exported += stats.itemsExported + stats.queue.itemsReplayed;
+      totals.dropped += stats.itemsDroppedQueueFull + stats.itemsDroppedExportFailed + stats.queue.itemsDiscarded;
+      totals.queueDepth += stats.pending;
+    });
+    return totals;
+  }
+
+  /**
+   * Most recent export of any signal
+   * @returns {Object|null} { signal, success, items, latencyMs, time }
+   */
+  get lastExport() {
+    return this.#lastExport && { ...this.#lastExport };
+  }
+
+  /**
+   * Most recent export error of any signal
+   * @returns {Object|null} { signal, message, code, time }
+   */
+  get lastError() {
+    return this.#lastError && { ...this.#lastError };
+  }
+
+  /**
+   * Copy of the counters
+   * @returns {Object} Counters keyed by signal
+   */
+  snapshot() {
+    return Object.fromEntries(Object.entries(this.#signals).map(([signal, stats]) => [
+      signal,
+      { ...stats, lastError: stats.lastError && { ...stats.lastError }, queue: { ...stats.queue } }
+    ]));
+  }
+}
+
+// CommonJS exports
+module.exports = {
+  ExportStats,
+  isTracesKey
+};
@@ -0,0 +1,288 @@
+// src/utils/logger.js - Internal Diagnostic Logger (CommonJS)
+
+const { diag, DiagLogLevel } = require('@opentelemetry/api');
+
+/**
+ * Log level priorities (lowest to highest)
+ */
+const LOG_LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+  silent: 100
+};
+
+/**
+ * DiagLogLevel used for the OpenTelemetry API bridge at each ODN level
+ */
+const DIAG_LOG_LEVELS = {
+  debug: DiagLogLevel.DEBUG,
+  info: DiagLogLevel.INFO,
+  warn: DiagLogLevel.WARN,
+  error: DiagLogLevel.ERROR,
+  silent: DiagLogLevel.NONE
+};
+
+/**
+ * Field names (lowercase) whose values are secrets
+ * Exact names only, so settings such as tokenRefreshIntervalMs stay readable
+ */
+const SECRET_KEYS = new Set([
+  'dtapitoken',
+  'token',
+  'apitoken',
+  'api-token',
+  'accesstoken',
+  'authorization',
+  'proxy-authorization',
+  'password',
+  'secret',
+  'clientsecret',
+  'apikey',
+  'api-key',
+  'api_key',
+  'x-api-key',
+  'cookie',
+  'set-cookie'
+]);
+
+/**
+ * Status placeholders used instead of secrets (e.g. getConfigSummary's dtApiToken)
+ */
+const SECRET_PLACEHOLDERS = ['configured', 'missing'];
+
+const REDACTED = '[REDACTED]';
+const SECRET_VALUE_PATTERNS = [
+  [/dt0[a-z]\d{2}\.[A-Za-z0-9]+\.[A-Za-z0-9]+/g, REDACTED],
+  [/(Api-Token|Bearer)\s+[^\s,"']+/gi, `$1 ${REDACTED}`]
+];
+const MAX_REDACT_DEPTH = 5;
+
+/**
+ * Shorter secret values are not redacted, they would mangle unrelated text
+ */
+const MIN_SECRET_VALUE_LENGTH = 8;
+
+const state = {
+  level: 'info',
+  format: 'pretty',
+  sink: null,
+  // Records held by deferLogs() until flushDeferredLogs()
+  deferred: null,
+  // Known secret values (API tokens in any format), redacted wherever they appear
+  secretValues: new Set()
+};
+
+/**
+ * Redact secrets from a string value
+ * @param {string} value - String that may contain secrets
+ * @returns {string} Redacted string
+ */
+function redactString(value) {
+  let result = value;
+  state.secretValues.forEach(secret => {
+    result = result.split(secret).join(REDACTED);
+  });
+  return SECRET_VALUE_PATTERNS.reduce((redacted, [pattern, replacement]) => redacted.replace(pattern, replacement), result);
+}
+
+/**
+ * Redact a secret value wherever it appears in later log records
+ * @param {string} value - Secret (e.g. the API token)
+ */
+function addSecretValue(value) {
+  if (typeof value === 'string' && value.trim().length >= MIN_SECRET_VALUE_LENGTH) {
+    state.secretValues.add(value.trim());
+  }
+}
+
+/**
+ * Check whether a field holds a secret
+ * @param {string} key - Field name
+ * @param {*} value - Field value
+ * @returns {boolean} True if the value must be redacted
+ */
+function isSecretField(key, value) {
+  return Boolean(value) && SECRET_KEYS.has(key.toLowerCase()) && !SECRET_PLACEHOLDERS.includes(value);
+}
+
+/**
+ * Redact secrets from any value (deep for plain objects and arrays)
+ * @param {*} value - Value to redact
+ * @param {number} depth - Current recursion depth
+ * @returns {*} Redacted copy
+ */
+function redact(value, depth = 0) {
+  if (typeof value === 'string') return redactString(value);
+  if (value === null || typeof value !== 'object') return value;
+  if (depth >= MAX_REDACT_DEPTH) return '[Object]';
+
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: redactString(value.message),
+      ...(value.code !== undefined && { code: value.code }),
+      ...(value.stack && { stack: redactString(value.stack) })
+    };
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1));
+  }
+
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+    key,
+    isSecretField(key, item) ? REDACTED : redact(item, depth + 1)
+  ]));
+}
+
+/**
+ * Check whether a level is currently enabled
+ * @param {string} level - Level name
+ * @returns {boolean} True if messages at this level are written
+ */
+function isLevelEnabled(level) {
+  return LOG_LEVELS[level] >= LOG_LEVELS[state.level] && state.level !== 'silent';
+}
+
+/**
+ * Format a record for console output
+ * @param {Object} record - Log record
+ * @returns {string} Formatted line
+ */
+function formatRecord(record) {
+  if (state.format === 'json') {
+    return JSON.stringify(record);
+  }
+
+  const { timestamp, level, component, message, ...fields } = record;
+  const details = Object.keys(fields).length > 0 ? ` ${JSON.stringify(fields)}` : '';
+  return `${timestamp} [ODN] ${level.toUpperCase()} ${component}: ${message}${details}`;
+}
+
+/**
+ * Write a log record
+ * @param {string} level - Level name
+ * @param {string} component - Emitting component
+ * @param {string} message - Log message
+ * @param {Object} fields - Structured fields
+ * @param {Date} time - When the message was logged
+ */
+function write(level, component, message, fields = {}, time = new Date()) {
+  if (state.deferred) {
+    state.deferred.push([level, component, message, fields, time]);
+    return;
+  }
+  if (!isLevelEnabled(level)) return;
+
+  const record = {
+    timestamp: time.toISOString(),
+    level,
+    component,
+    message: redactString(String(message)),
+    ...redact(fields !== null && typeof fields === 'object' ? fields : { details: fields })
+  };
+
+  if (state.sink) {
+    try {
+      state.sink(record);
+    } catch (e) {
+      // A broken sink must never break the instrumented application
+    }
+    return;
+  }
+
+  const line = formatRecord(record);
+  if (level === 'error' || level === 'warn') {
+    console.error(line);
+  } else {
+    console.log(line);
+  }
+}
+
+/**
+ * Create a logger bound to a component name
+ * @param {string} component - Component name (e.g. 'sdk', 'tracer', 'config')
+ * @returns {Object} Logger with debug, info, warn and error methods
+ */
+function createLogger(component) {
+  return {
+    debug: (message, fields) => write('debug', component, message, fields),
+    info: (message, fields) => write('info', component, message, fields),
+    warn: (message, fields) => write('warn', component, message, fields),
+    error: (message, fields) => write('error', component, message, fields),
+    isLevelEnabled
+  };
+}
+
+/**
+ * Bridge OpenTelemetry's diag API into the internal logger
+ */
+const diagLogger = createLogger('otel');
+const diagBridge = {
+  error: (message, ...args) => diagLogger.error(message, args.length > 0 ? { args } : undefined),
+  warn: (message, ...args) => diagLogger.warn(message, args.length > 0 ? { args } : undefined),
+  info: (message, ...args) => diagLogger.info(message, args.length > 0 ? { args } : undefined),
+  debug: (message, ...args) => diagLogger.debug(message, args.length > 0 ? { args } : undefined),
+  verbose: (message, ...args) => diagLogger.debug(message, args.length > 0 ? { args } : undefined)
+};
+
+/**
+ * Configure the internal logger
+ * @param {Object} options - Logger options
+ * @param {string} options.logLevel - 'debug', 'info', 'warn', 'error' or 'silent'
+ * @param {string} options.logFormat - 'pretty' or 'json'
+ * @param {Function} options.logSink - Receives each redacted record instead of the console: (record) => void
+ * @param {string} options.dtApiToken - API token, redacted wherever it appears
+ */
+function configureLogger({ logLevel, logFormat, logSink, dtApiToken } = {}) {
+  addSecretValue(dtApiToken);
+
+  if (logLevel && LOG_LEVELS[logLevel] !== undefined) {
+    state.level = logLevel;
+  }
+
+  if (logFormat) {
+    state.format = logFormat;
+  }
+
+  if (logSink !== undefined) {
+    state.sink = typeof logSink === 'function' ? logSink : null;
+  }
+
+  diag.setLogger(diagBridge, {
+    logLevel: DIAG_LOG_LEVELS[state.level],
+    suppressOverrideMessage: true
+  });
+}
+
+/**
+ * Hold log records until flushDeferredLogs(), e.g. while the configuration that sets
+ * logLevel, logFormat and logSink is being built
+ */
+function deferLogs() {
+  if (!state.deferred) {
+    state.deferred = [];
+  }
+}
+
+/**
+ * Write the records held since deferLogs() with the current logger settings
+ */
+function flushDeferredLogs() {
+  const records = state.deferred || [];
+  state.deferred = null;
+  records.forEach(record => write(...record));
+}
+
+// CommonJS exports
+module.exports = {
+  LOG_LEVELS,
+  createLogger,
+  configureLogger,
+  addSecretValue,
+  deferLogs,
+  flushDeferredLogs,
+  redact
+};
@@ -0,0 +1,55 @@
+// src/utils/route-patterns.js - Route and Name Pattern Matching (CommonJS)
+
+/**
+ * Convert a glob pattern into an anchored regular expression
+ * `*` matches a single path segment, `**` matches any number of segments
+ * @param {string} pattern - Glob pattern (e.g. '/health', '/internal/**')
+ * @returns {RegExp} Regular expression
+ */
+function globToRegExp(pattern) {
+  const source = pattern
+    .split('**')
+    .map(part => part
+      .split('*')
+      .map(chunk => chunk.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('[^/]*'))
+    .join('.*');
+
+  return new RegExp(`^${source}/?$`);
+}
+
+/**
+ * Compile a single glob string or RegExp
+ * @param {string|RegExp} pattern - Glob string or RegExp instance
+ * @returns {RegExp} Compiled pattern
+ */
+function compilePattern(pattern) {
+  return pattern instanceof RegExp ? pattern : globToRegExp(String(pattern));
+}
+
+/**
+ * Compile route patterns into regular expressions
+ * @param {Array<string|RegExp>} patterns - Glob strings or RegExp instances
+ * @returns {Array<RegExp>} Compiled patterns
+ */
+function compileRoutePatterns(patterns = []) {
+  return patterns.map(compilePattern);
+}
+
+/**
+ * Check whether a request path matches any compiled pattern
+ * @param {string} path - Request path without query string
+ * @param {Array<RegExp>} patterns - Compiled patterns
+ * @returns {boolean} True if path matches
+ */
+function matchesRoute(path, patterns) {
+  return patterns.some(pattern => pattern.test(path));
+}
+
+// CommonJS exports
+module.exports = {
+  globToRegExp,
+  compilePattern,
+  compileRoutePatterns,
+  matchesRoute
+};
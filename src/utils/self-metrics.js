@@ -0,0 +1,96 @@
+// src/utils/self-metrics.js - Export Pipeline Self-Telemetry Metrics (CommonJS)
+
+const { isTracesKey } = require('./export-stats.js');
+
+/**
+ * Split a counters key into metric attributes
+ * @param {string} key - 'traces', 'metrics', 'logs' or '<signal>:<destination>'
+ * @returns {Object} { 'odn.signal', 'odn.destination' }
+ */
+function toAttributes(key) {
+  const [signal, destination] = key.split(/:(.+)/);
+  return {
+    'odn.signal': signal,
+    ...(destination && { 'odn.destination': destination })
+  };
+}
+
+/**
+ * Register observable instruments reporting ExportStats, read at each metric collection:
+ *   odn.tracer.spans.started / odn.tracer.spans.sampled_out
+ *   odn.exporter.spans.exported / odn.exporter.spans.dropped (odn.drop.reason: queue_full, export_failed, discarded)
+ *   odn.exporter.export.failures, odn.exporter.export.retries (batches)
+ *   odn.exporter.queue.depth (spans waiting in the batch processor), odn.exporter.disk_queue.depth (batches on disk)
+ *   odn.exporter.export.latency (last export, ms)
+ * Attributes: odn.signal and, for exporters entries, odn.destination
+ * @param {Meter} meter - Meter (e.g. OtelDynatrace.getMeter('otel-dynatrace-nodejs'))
+ * @param {ExportStats} stats - Pipeline counters
+ */
+function registerSelfMetrics(meter, stats) {
+  const observePerKey = (instrument, read) => instrument.addCallback((result) => {
+    Object.entries(stats.snapshot()).forEach(([key, counters]) => {
+      const value = read(counters, key);
+      if (value !== null && value !== undefined) {
+        result.observe(value, toAttributes(key));
+      }
+    });
+  });
+  const tracesOnly = (read) => (counters, key) => (isTracesKey(key) ? read(counters) : null);
+
+  meter.createObservableCounter('odn.tracer.spans.started', {
+    description: 'Spans started, sampled or not',
+    unit: '{span}'
+  }).addCallback(result => result.observe(stats.spanTotals().started));
+
+  meter.createObservableCounter('odn.tracer.spans.sampled_out', {
+    description: 'Spans discarded by head or tail sampling',
+    unit: '{span}'
+  }).addCallback(result => result.observe(stats.spanTotals().sampledOut));
+
+  observePerKey(meter.createObservableCounter('odn.exporter.spans.exported', {
+    description: 'Spans delivered, including spans replayed from the disk queue',
+    unit: '{span}'
+  }), tracesOnly(counters => counters.itemsExported + counters.queue.itemsReplayed));
+
+  meter.createObservableCounter('odn.exporter.spans.dropped', {
+    description: 'Spans lost because the batch queue was full, the export failed or the disk queue discarded them',
+    unit: '{span}'
+  }).addCallback((result) => {
+    Object.entries(stats.snapshot()).filter(([key]) => isTracesKey(key)).forEach(([key, counters]) => {
+      const attributes = toAttributes(key);
+      result.observe(counters.itemsDroppedQueueFull, { ...attributes, 'odn.drop.reason': 'queue_full' });
+      result.observe(counters.itemsDroppedExportFailed, { ...attributes, 'odn.drop.reason': 'export_failed' });
+      result.observe(counters.queue.itemsDiscarded, { ...attributes, 'odn.drop.reason': 'discarded' });
+    });
+  });
+
+  observePerKey(meter.createObservableCounter('odn.exporter.export.failures', {
+    description: 'Export batches that failed after retrying',
+    unit: '{batch}'
+  }), counters => counters.batchesFailed);
+
+  observePerKey(meter.createObservableCounter('odn.exporter.export.retries', {
+    description: 'Export attempts retried',
+    unit: '{attempt}'
+  }), counters => counters.retries);
+
+  observePerKey(meter.createObservableGauge('odn.exporter.queue.depth', {
+    description: 'Spans waiting in the batch span processor',
+    unit: '{span}'
+  }), tracesOnly(counters => counters.pending));
+
+  observePerKey(meter.createObservableGauge('odn.exporter.disk_queue.depth', {
+    description: 'Batches waiting in the persistent queue',
+    unit: '{batch}'
+  }), counters => counters.queue.depth);
+
+  observePerKey(meter.createObservableGauge('odn.exporter.export.latency', {
+    description: 'Duration of the last export, retries included',
+    unit: 'ms'
+  }), counters => counters.lastExportLatencyMs);
+}
+
+// CommonJS exports
+module.exports = {
+  registerSelfMetrics
+};
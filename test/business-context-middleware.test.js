@@ -0,0 +1,114 @@
+// test/business-context-middleware.test.js - Declarative Business Context Extraction
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createBusinessContextMiddleware } = require('../src/middleware/business-context-middleware.js');
+const { createTracer, createSpan, createRequest, createResponse } = require('./helpers/express-mocks.js');
+const { configureLogger } = require('../src/utils/logger.js');
+
+configureLogger({ logLevel: 'silent' });
+
+/**
+ * Run a request through the middleware, then route it and finish the response
+ * @param {Function} middleware - Express middleware
+ * @param {Object} req - Request carrying the span in req.span
+ * @param {Object} routing - { route, params } set once next() was called
+ * @returns {Object} Attributes of the request span before and after finish
+ */
+function handle(middleware, req, { route, params = {} } = {}) {
+  const res = createResponse();
+  let nextCalls = 0;
+  middleware(req, res, () => { nextCalls++; });
+  assert.strictEqual(nextCalls, 1);
+
+  const beforeFinish = { ...req.span.attributes };
+  if (route) req.route = { path: route };
+  req.params = params;
+  res.finish();
+  return { beforeFinish, afterFinish: req.span.attributes };
+}
+
+test('applies headers and query up front and route params on finish', () => {
+  const middleware = createBusinessContextMiddleware(createTracer(), {
+    mapping: { tenant_id: 'header:X-Tenant', channel: 'query.channel' },
+    routes: { '/orders/:id': { order_id: 'params.id' } }
+  });
+  const req = createRequest({
+    path: '/orders/7',
+    headers: { 'x-tenant': 'acme' },
+    query: { channel: 'web' },
+    span: createSpan('GET')
+  });
+
+  const { beforeFinish, afterFinish } = handle(middleware, req, { route: '/orders/:id', params: { id: '7' } });
+
+  assert.deepStrictEqual(beforeFinish, { 'business.tenant_id': 'acme', 'business.channel': 'web' });
+  assert.deepStrictEqual(afterFinish, {
+    'business.tenant_id': 'acme',
+    'business.channel': 'web',
+    'business.order_id': '7'
+  });
+});
+
+test('applies method-specific route mappings only to that method', () => {
+  const middleware = createBusinessContextMiddleware(createTracer(), {
+    routes: {
+      '/api/orders/:id': { order_id: 'params.id' },
+      'POST /api/orders/:id': { action: () => 'update' }
+    }
+  });
+  const routing = { route: '/orders/:id', params: { id: '7' } };
+
+  const post = handle(middleware, createRequest({ method: 'POST', baseUrl: '/api', span: createSpan('POST') }), routing);
+  const get = handle(middleware, createRequest({ baseUrl: '/api', span: createSpan('GET') }), routing);
+
+  assert.deepStrictEqual(post.afterFinish, { 'business.order_id': '7', 'business.action': 'update' });
+  assert.deepStrictEqual(get.afterFinish, { 'business.order_id': '7' });
+});
+
+test('applies defaults, transforms and the max value length', () => {
+  const middleware = createBusinessContextMiddleware(createTracer(), {
+    mapping: {
+      plan: { from: 'header:x-plan', default: 'free' },
+      region: { from: 'query.region', transform: value => value.toUpperCase() },
+      note: 'query.note',
+      missing: 'query.missing'
+    },
+    transform: (value, key) => (key === 'region' ? `eu:${value}` : value),
+    maxValueLength: 8
+  });
+  const req = createRequest({ query: { region: 'west', note: 'x'.repeat(20) }, span: createSpan('GET') });
+
+  const { afterFinish } = handle(middleware, req);
+
+  assert.deepStrictEqual(afterFinish, {
+    'business.plan': 'free',
+    'business.region': 'eu:WEST',
+    'business.note': 'xxxxxxxx'
+  });
+});
+
+test('uses the active span and skips requests without one', () => {
+  const active = createSpan('GET');
+  const mapping = { tenant_id: 'header:x-tenant' };
+  const req = createRequest({ headers: { 'x-tenant': 'acme' } });
+
+  createBusinessContextMiddleware(createTracer(active), { mapping })(req, createResponse(), () => {});
+  assert.deepStrictEqual(active.attributes, { 'business.tenant_id': 'acme' });
+
+  let nextCalls = 0;
+  createBusinessContextMiddleware(createTracer(), { mapping })(createRequest(), createResponse(), () => { nextCalls++; });
+  assert.strictEqual(nextCalls, 1);
+});
+
+test('rejects invalid mappings', () => {
+  assert.throws(() => createBusinessContextMiddleware(null), /tracer is required/);
+  assert.throws(
+    () => createBusinessContextMiddleware(createTracer(), { mapping: { tenant_id: 42 } }),
+    /Invalid business context mapping for "tenant_id"/
+  );
+  assert.throws(
+    () => createBusinessContextMiddleware(createTracer(), { routes: { '/orders/:id': { order_id: {} } } }),
+    /Invalid business context mapping for "order_id"/
+  );
+});
@@ -0,0 +1,87 @@
+// test/config-schema.test.js - Configuration Schema Validation
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateSchema } = require('../src/configs/config-schema.js');
+
+test('reports the path of an invalid array item', () => {
+  const errors = validateSchema({
+    instrumentations: {
+      http: {
+        enabled: true,
+        // Route patterns may also be RegExps
+        ignoreIncomingPaths: ['/health', '/ready', 42],
+        ignoreOutgoingHosts: ['metadata.internal', 'localhost', 8080]
+      }
+    }
+  });
+
+  assert.deepStrictEqual(errors, [
+    'instrumentations.http.ignoreIncomingPaths[2] must be a string or a regexp',
+    'instrumentations.http.ignoreOutgoingHosts[2] must be a string'
+  ]);
+});
+
+test('reports unknown options at any depth', () => {
+  const errors = validateSchema({
+    samplingRatio: 0.5,
+    tailSampling: { enabled: true, latencyThreshold: 100 },
+    instrumentations: { htttp: { enabled: true } }
+  });
+
+  assert.deepStrictEqual(errors, [
+    'samplingRatio is not a recognized option',
+    'tailSampling.latencyThreshold is not a recognized option',
+    'instrumentations.htttp is not a recognized instrumentation'
+  ]);
+});
+
+test('reports values outside an enum', () => {
+  const errors = validateSchema({ logLevel: 'verbose', protocol: 'grpc' });
+
+  assert.deepStrictEqual(errors, [
+    'logLevel must be one of: debug, info, warn, error, silent',
+    'protocol must be one of: http/protobuf, http/json'
+  ]);
+});
+
+test('reports type, range and required errors', () => {
+  const errors = validateSchema({
+    samplingRate: 1.5,
+    maxQueueSize: 0,
+    samplingRules: [{ route: '/checkout' }],
+    exporters: [{ name: 'collector' }]
+  });
+
+  assert.deepStrictEqual(errors, [
+    'samplingRate must be between 0 and 1',
+    'maxQueueSize must be a positive number',
+    'samplingRules[0].rate is required',
+    'exporters[0].type is required'
+  ]);
+});
+
+test('accepts instrumentation options without enabled', () => {
+  assert.deepStrictEqual(validateSchema({
+    instrumentations: {
+      pg: { enhancedDatabaseReporting: true },
+      http: { ignoreIncomingPaths: ['/health', /^\/internal/] }
+    }
+  }), []);
+});
+
+test('skips required options of merged objects in partial settings', () => {
+  const settings = {
+    resourceDetectors: { container: { cgroupFile: '/host/proc/self/cgroup' } },
+    samplingRules: [{ route: '/checkout' }]
+  };
+
+  assert.deepStrictEqual(validateSchema(settings), [
+    'resourceDetectors.container.enabled is required',
+    'samplingRules[0].rate is required'
+  ]);
+  // Array entries replace the merged value, so they stay complete
+  assert.deepStrictEqual(validateSchema(settings, { partial: true }), [
+    'samplingRules[0].rate is required'
+  ]);
+});
@@ -0,0 +1,112 @@
+// test/config-sources.test.js - Where Each Configuration Setting Came From
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DynatraceConfig } = require('../src/configs/dynatrace-config.js');
+const { configureLogger } = require('../src/utils/logger.js');
+
+configureLogger({ logLevel: 'silent' });
+
+/**
+ * Run a function with extra process environment variables
+ * @param {Object} variables - Variables to set
+ * @param {Function} run - Function to run
+ * @returns {*} Result of run
+ */
+function withEnvironment(variables, run) {
+  const previous = Object.fromEntries(Object.keys(variables).map(name => [name, process.env[name]]));
+  Object.assign(process.env, variables);
+  try {
+    return run();
+  } finally {
+    Object.entries(previous).forEach(([name, value]) => {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    });
+  }
+}
+
+/**
+ * Write a config file into a temporary directory
+ * @param {Object} t - Test context
+ * @param {Object} settings - File contents
+ * @returns {string} Config file path
+ */
+function writeConfigFile(t, settings) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'odn-config-test-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  const configFile = path.join(directory, 'odn.config.json');
+  fs.writeFileSync(configFile, JSON.stringify(settings));
+  return configFile;
+}
+
+test('records the layer each setting came from', (t) => {
+  const configFile = writeConfigFile(t, {
+    deploymentEnvironment: 'production',
+    exportTimeoutMs: 12345,
+    serviceName: 'from-file'
+  });
+
+  const { sources } = withEnvironment({ SERVICE_VERSION: '9.9.9', OTEL_BSP_MAX_QUEUE_SIZE: '4096', OTEL_ATTR_REGION: 'eu' }, () => (
+    new DynatraceConfig({
+      configFile,
+      serviceName: 'checkout',
+      serviceTemplate: 'web-api',
+      dtApiUrl: 'abc12345'
+    }).getSummary({ withSources: true })
+  ));
+
+  assert.strictEqual(sources.enabled, 'default');
+  assert.strictEqual(sources.samplingRate, 'preset:production');
+  assert.strictEqual(sources.maxExportBatchSize, 'preset:production');
+  assert.strictEqual(sources['instrumentations.express.enabled'], 'template:web-api');
+  assert.strictEqual(sources['customAttributes.service.type'], 'template:web-api');
+  assert.strictEqual(sources.deploymentEnvironment, `file:${configFile}`);
+  assert.strictEqual(sources.exportTimeoutMs, `file:${configFile}`);
+  assert.strictEqual(sources.serviceName, 'user');
+  assert.strictEqual(sources.dtApiUrl, 'user');
+  assert.strictEqual(sources.configFile, 'user');
+  assert.strictEqual(sources.serviceVersion, 'env:SERVICE_VERSION');
+  assert.strictEqual(sources.maxQueueSize, 'env:OTEL_BSP_MAX_QUEUE_SIZE');
+  assert.strictEqual(sources['customAttributes.region'], 'env:OTEL_ATTR_REGION');
+});
+
+test('attributes NODE_ENV and ODN_CONFIG_FILE to the environment', (t) => {
+  const configFile = writeConfigFile(t, { exportTimeoutMs: 12345 });
+
+  const { sources } = withEnvironment({ NODE_ENV: 'staging', ODN_CONFIG_FILE: configFile }, () => (
+    new DynatraceConfig({ serviceName: 'checkout' }).getSummary({ withSources: true })
+  ));
+
+  assert.strictEqual(sources.deploymentEnvironment, 'env:NODE_ENV');
+  assert.strictEqual(sources.samplingRate, 'preset:staging');
+  assert.strictEqual(sources.configFile, 'env:ODN_CONFIG_FILE');
+  assert.strictEqual(sources.exportTimeoutMs, `file:${configFile}`);
+});
+
+test('gives a setting the source of the last layer defining it', () => {
+  const config = withEnvironment({ SERVICE_NAME: 'from-env' }, () => new DynatraceConfig({
+    serviceName: 'checkout',
+    deploymentEnvironment: 'production',
+    samplingRate: 0.5,
+    serviceTemplate: 'web-api',
+    instrumentations: { express: { enabled: false } }
+  }));
+
+  assert.strictEqual(config.config.serviceName, 'from-env');
+  assert.strictEqual(config.sources.serviceName, 'env:SERVICE_NAME');
+  assert.strictEqual(config.sources.samplingRate, 'user');
+  assert.strictEqual(config.sources['instrumentations.express.enabled'], 'user');
+  assert.strictEqual(config.sources['instrumentations.http.enabled'], 'template:web-api');
+
+  config.set('samplingRate', 0.2);
+  assert.strictEqual(config.getSummary({ withSources: true }).sources.samplingRate, 'user');
+  assert.strictEqual(config.getSummary().sources, undefined);
+});
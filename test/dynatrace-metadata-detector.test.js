@@ -0,0 +1,54 @@
+// test/dynatrace-metadata-detector.test.js - OneAgent Metadata Enrichment
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DynatraceMetadataDetector, readDynatraceMetadata } = require('../src/resources/dynatrace-metadata-detector.js');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'dynatrace-metadata');
+const PROPERTIES_FILE = path.join(FIXTURES, 'dt_metadata.properties');
+const JSON_FILE = path.join(FIXTURES, 'dt_metadata.json');
+
+test('reads properties files, skipping comments', () => {
+  assert.deepStrictEqual(readDynatraceMetadata([PROPERTIES_FILE]), {
+    'dt.entity.host': 'HOST-1234567890ABCDEF',
+    'dt.entity.process_group_instance': 'PROCESS_GROUP_INSTANCE-0123456789ABCDEF',
+    'dt.host_group.id': 'checkout'
+  });
+});
+
+test('merges files in order, later files overriding earlier ones', () => {
+  const attributes = readDynatraceMetadata([PROPERTIES_FILE, JSON_FILE]);
+
+  assert.strictEqual(attributes['dt.entity.host'], 'HOST-FEDCBA0987654321');
+  assert.strictEqual(attributes['dt.entity.process_group_instance'], 'PROCESS_GROUP_INSTANCE-0123456789ABCDEF');
+  assert.strictEqual(attributes['k8s.cluster.uid'], '0b8f8d6a-1d2c-4a55-9b1f-5f1c0c2a9e77');
+  assert.strictEqual(attributes.nested, undefined);
+});
+
+test('skips missing files', () => {
+  assert.deepStrictEqual(readDynatraceMetadata([path.join(FIXTURES, 'missing.json'), JSON_FILE]), {
+    'dt.entity.host': 'HOST-FEDCBA0987654321',
+    'k8s.cluster.uid': '0b8f8d6a-1d2c-4a55-9b1f-5f1c0c2a9e77',
+    'dt.kubernetes.workload.kind': 'deployment'
+  });
+});
+
+test('follows the OneAgent indirection file to the properties file', (t) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'odn-metadata-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  const indirectFile = path.join(directory, 'dt_metadata_e617c525.properties');
+  fs.writeFileSync(indirectFile, `${PROPERTIES_FILE}\n`);
+
+  const resource = new DynatraceMetadataDetector({ files: [indirectFile] }).detect();
+
+  assert.strictEqual(resource.attributes['dt.entity.host'], 'HOST-1234567890ABCDEF');
+});
+
+test('treats a missing OneAgent indirection file as not present', () => {
+  const indirectFile = path.join(FIXTURES, 'missing', 'dt_metadata_e617c525.properties');
+
+  assert.deepStrictEqual(new DynatraceMetadataDetector({ files: [indirectFile] }).detect().attributes, {});
+});
@@ -0,0 +1,89 @@
+// test/endpoint-resolver.test.js - Dynatrace and OTLP Endpoint Resolution
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { resolveOtlpBase, resolveEndpoints, resolveExporterUrl } = require('../src/configs/endpoint-resolver.js');
+
+const SAAS_BASE = 'https://abc12345.live.dynatrace.com/api/v2/otlp';
+
+test('expands a SaaS environment ID', () => {
+  assert.deepStrictEqual(resolveOtlpBase('ABC12345'), { type: 'saas', base: SAAS_BASE });
+  assert.deepStrictEqual(resolveOtlpBase(' abc12345 '), { type: 'saas', base: SAAS_BASE });
+});
+
+test('appends /api/v2/otlp to SaaS tenant URLs and maps UI hosts to API hosts', () => {
+  [
+    'https://abc12345.live.dynatrace.com',
+    'https://abc12345.live.dynatrace.com/',
+    'https://abc12345.live.dynatrace.com/api/v2/otlp',
+    'https://abc12345.live.dynatrace.com/api/v2/otlp/v1/traces',
+    'https://abc12345.apps.dynatrace.com/ui/apps/dynatrace.classic'
+  ].forEach(input => assert.deepStrictEqual(resolveOtlpBase(input), { type: 'saas', base: SAAS_BASE }, input));
+
+  assert.deepStrictEqual(resolveOtlpBase('https://abc12345.sprint.apps.dynatracelabs.com'), {
+    type: 'saas',
+    base: 'https://abc12345.sprint.dynatracelabs.com/api/v2/otlp'
+  });
+});
+
+test('keeps the environment path of Managed clusters and ActiveGates', () => {
+  const base = 'https://ag.example.com:9999/e/env-1/api/v2/otlp';
+
+  [
+    'https://ag.example.com:9999/e/env-1',
+    'https://ag.example.com:9999/e/env-1/',
+    'https://ag.example.com:9999/e/env-1/api/v2',
+    'https://ag.example.com:9999/e/env-1/api/v2/otlp/v1/metrics'
+  ].forEach(input => assert.deepStrictEqual(resolveOtlpBase(input), { type: 'managed', base }, input));
+
+  assert.deepStrictEqual(resolveOtlpBase('https://dt.example.com/api/v2/otlp/'), {
+    type: 'managed',
+    base: 'https://dt.example.com/api/v2/otlp'
+  });
+});
+
+test('uses other URLs as plain OTLP bases and rejects unusable input', () => {
+  assert.deepStrictEqual(resolveOtlpBase('http://localhost:4318/'), { type: 'otlp', base: 'http://localhost:4318' });
+  assert.deepStrictEqual(resolveOtlpBase('http://collector:4318/otlp/v1/traces'), { type: 'otlp', base: 'http://collector:4318/otlp' });
+
+  ['', '   ', 'not a url', 'ftp://collector:4318', undefined].forEach(input => {
+    assert.strictEqual(resolveOtlpBase(input), null, String(input));
+  });
+});
+
+test('resolves the signal URLs of a configuration', () => {
+  assert.deepStrictEqual(resolveEndpoints({ dtApiUrl: 'abc12345' }), {
+    type: 'saas',
+    base: SAAS_BASE,
+    traces: `${SAAS_BASE}/v1/traces`,
+    metrics: `${SAAS_BASE}/v1/metrics`,
+    logs: `${SAAS_BASE}/v1/logs`,
+    requiresToken: true
+  });
+
+  const local = resolveEndpoints({ dtApiUrl: 'http://localhost:4318', tracesEndpoint: 'http://localhost:4318/custom/traces' });
+  assert.strictEqual(local.traces, 'http://localhost:4318/custom/traces');
+  assert.strictEqual(local.metrics, 'http://localhost:4318/v1/metrics');
+  assert.strictEqual(local.requiresToken, false);
+
+  const tracesOnly = resolveEndpoints({ tracesEndpoint: 'https://abc12345.live.dynatrace.com/api/v2/otlp/v1/traces' });
+  assert.deepStrictEqual(
+    [tracesOnly.type, tracesOnly.base, tracesOnly.metrics, tracesOnly.requiresToken],
+    ['saas', null, null, true]
+  );
+});
+
+test('resolves the traces URL of exporters entries', () => {
+  const endpoints = resolveEndpoints({ dtApiUrl: 'abc12345' });
+
+  assert.strictEqual(resolveExporterUrl({ type: 'dynatrace' }, endpoints), `${SAAS_BASE}/v1/traces`);
+  assert.strictEqual(resolveExporterUrl({ type: 'otlp' }, endpoints), null);
+  assert.strictEqual(
+    resolveExporterUrl({ type: 'otlp', endpoint: 'http://collector:4318' }, endpoints),
+    'http://collector:4318/v1/traces'
+  );
+  assert.strictEqual(
+    resolveExporterUrl({ type: 'dynatrace', endpoint: 'https://ag.example.com/e/env-1' }, endpoints),
+    'https://ag.example.com/e/env-1/api/v2/otlp/v1/traces'
+  );
+});
@@ -0,0 +1,110 @@
+// test/export-stats.test.js - Export Pipeline Counters
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { BasicTracerProvider } = require('@opentelemetry/sdk-trace-base');
+const { ExportStats } = require('../src/utils/export-stats.js');
+const { CountingSampler } = require('../src/sampling/counting-sampler.js');
+const { RuleBasedSampler, createSampler } = require('../src/sampling/rule-based-sampler.js');
+const { MonitoredBatchSpanProcessor } = require('../src/processors/monitored-batch-span-processor.js');
+const { EXPORT_SUCCESS, EXPORT_FAILED } = require('../src/exporters/otlp-http-exporter.js');
+
+/**
+ * Create a span exporter that holds every export until it is answered
+ * @returns {Object} Exporter with the received batches and their callbacks in exports
+ */
+function createHeldExporter() {
+  return {
+    exports: [],
+    export(spans, resultCallback) {
+      this.exports.push({ spans, resultCallback });
+    },
+    shutdown: () => Promise.resolve()
+  };
+}
+
+test('counts export outcomes per signal and keeps the last export and error', () => {
+  const stats = new ExportStats();
+
+  stats.recordExport('traces', { success: true, items: 10, latencyMs: 40 });
+  stats.recordRetry('logs');
+  stats.recordExport('logs', { success: false, items: 3, latencyMs: 900, error: Object.assign(new Error('Too Many Requests'), { code: 429 }) });
+  stats.recordExport('traces:collector', { success: true, items: 10, latencyMs: 5 });
+
+  const snapshot = stats.snapshot();
+  assert.deepStrictEqual(
+    [snapshot.traces.batchesExported, snapshot.traces.itemsExported, snapshot.traces.lastExportLatencyMs],
+    [1, 10, 40]
+  );
+  assert.deepStrictEqual(
+    [snapshot.logs.batchesFailed, snapshot.logs.itemsFailed, snapshot.logs.retries, snapshot.logs.lastError.code],
+    [1, 3, 1, 429]
+  );
+  assert.strictEqual(stats.lastExport.signal, 'traces:collector');
+  assert.deepStrictEqual([stats.lastError.signal, stats.lastError.message], ['logs', 'Too Many Requests']);
+
+  // Snapshots are copies
+  snapshot.traces.queue.depth = 99;
+  assert.strictEqual(stats.snapshot().traces.queue.depth, 0);
+});
+
+test('sums span totals over every traces destination', () => {
+  const stats = new ExportStats();
+
+  stats.recordSpanStart(true);
+  stats.recordSpanStart(false);
+  stats.recordSampledOut(2);
+  stats.recordExport('traces', { success: true, items: 4, latencyMs: 1 });
+  stats.recordExport('traces:collector', { success: true, items: 4, latencyMs: 1 });
+  stats.recordExport('logs', { success: true, items: 7, latencyMs: 1 });
+  stats.recordQueueEvent('traces', 'replayed', 2);
+  stats.recordQueueEvent('traces', 'discarded', 1);
+  stats.recordDropped('traces:collector', 'queueFull', 3);
+  stats.setPending('traces', 5);
+
+  assert.deepStrictEqual(stats.spanTotals(), { started: 2, sampledOut: 3, exported: 10, dropped: 4, queueDepth: 5 });
+});
+
+test('counts span starts and head sampling decisions', () => {
+  const stats = new ExportStats();
+  const root = new RuleBasedSampler({ samplingRate: 1.0, samplingRules: [{ spanName: 'health', rate: 0 }] });
+  const tracer = new BasicTracerProvider({ sampler: new CountingSampler(createSampler(root), stats) }).getTracer('test');
+
+  tracer.startSpan('checkout').end();
+  tracer.startSpan('health').end();
+  tracer.startSpan('health').end();
+
+  assert.deepStrictEqual(stats.spanTotals(), { started: 3, sampledOut: 2, exported: 0, dropped: 0, queueDepth: 0 });
+});
+
+test('reports queue depth, full-queue drops and failed batches of the batch processor', async () => {
+  const stats = new ExportStats();
+  const exporter = createHeldExporter();
+  const processor = new MonitoredBatchSpanProcessor(exporter, {
+    maxQueueSize: 2,
+    maxExportBatchSize: 2,
+    scheduledDelayMillis: 60000
+  }, { signal: 'traces', stats });
+  const tracer = new BasicTracerProvider({ spanProcessors: [processor] }).getTracer('test');
+  const endSpans = count => Array.from({ length: count }, () => tracer.startSpan('work').end());
+
+  // A full batch is exported right away; while it is in flight the queue fills up
+  endSpans(2);
+  assert.strictEqual(exporter.exports.length, 1);
+  endSpans(3);
+
+  let counters = stats.snapshot().traces;
+  assert.deepStrictEqual([counters.pending, counters.itemsDroppedQueueFull], [2, 1]);
+
+  exporter.exports[0].resultCallback({ code: EXPORT_FAILED, error: new Error('Service Unavailable') });
+  await new Promise(resolve => setImmediate(resolve));
+
+  counters = stats.snapshot().traces;
+  assert.strictEqual(counters.itemsDroppedExportFailed, 2);
+  // The queued spans went out as the next batch
+  assert.strictEqual(exporter.exports.length, 2);
+  assert.strictEqual(counters.pending, 0);
+
+  exporter.exports[1].resultCallback({ code: EXPORT_SUCCESS });
+  await processor.shutdown();
+});
@@ -0,0 +1,163 @@
+// test/express-middleware.test.js - Express Request Tracing Middleware
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { SpanKind, SpanStatusCode } = require('@opentelemetry/api');
+const { createExpressMiddleware, createErrorMiddleware, getErrorStatusCode } = require('../src/middleware/express-middleware.js');
+const { TRACE_ID, createTracer, createSpan, createRequest, createResponse } = require('./helpers/express-mocks.js');
+
+/**
+ * Run a request through the middleware, route it and finish the response
+ * @param {Function} middleware - Express middleware
+ * @param {Object} req - Request
+ * @param {Object} options - { route, statusCode } applied once next() was called
+ * @returns {Object} { res, nextCalls }
+ */
+function handle(middleware, req, { route, statusCode = 200 } = {}) {
+  const res = createResponse();
+  let nextCalls = 0;
+  middleware(req, res, () => { nextCalls++; });
+
+  if (route) req.route = { path: route };
+  res.statusCode = statusCode;
+  res.finish();
+  return { res, nextCalls };
+}
+
+test('names the server span after the matched route template', () => {
+  const tracer = createTracer();
+  const req = createRequest({ path: '/users/42' });
+
+  const { nextCalls } = handle(createExpressMiddleware(tracer), req, { route: '/users/:id' });
+
+  const [span] = tracer.spans;
+  assert.strictEqual(nextCalls, 1);
+  assert.strictEqual(req.span, span);
+  assert.strictEqual(span.kind, SpanKind.SERVER);
+  assert.strictEqual(span.name, 'GET /users/:id');
+  assert.strictEqual(span.attributes['http.route'], '/users/:id');
+  assert.strictEqual(span.attributes['http.status_code'], 200);
+  assert.strictEqual(span.status, null);
+  assert.strictEqual(span.ended, true);
+});
+
+test('prefixes the router mount path and keeps the raw path when no route matched', () => {
+  const tracer = createTracer();
+  const middleware = createExpressMiddleware(tracer);
+
+  handle(middleware, createRequest({ method: 'POST', path: '/orders/7', baseUrl: '/api' }), { route: '/orders/:id' });
+  handle(middleware, createRequest({ path: '/missing' }), { statusCode: 404 });
+
+  assert.deepStrictEqual(tracer.spans.map(span => span.name), ['POST /api/orders/:id', 'GET /missing']);
+  assert.strictEqual(tracer.spans[1].attributes['http.route'], undefined);
+});
+
+test('marks 5xx responses as errors', () => {
+  const tracer = createTracer();
+
+  handle(createExpressMiddleware(tracer), createRequest({ path: '/checkout' }), { route: '/checkout', statusCode: 503 });
+
+  assert.deepStrictEqual(tracer.spans[0].status, { code: SpanStatusCode.ERROR, message: 'HTTP 503' });
+});
+
+test('skips ignored routes', () => {
+  const tracer = createTracer();
+  const middleware = createExpressMiddleware(tracer, { ignoreRoutes: ['/health', '/internal/*', /^\/metrics/] });
+
+  ['/health', '/internal/ready', '/metrics/prometheus'].forEach(path => {
+    const { nextCalls } = handle(middleware, createRequest({ path }));
+    assert.strictEqual(nextCalls, 1);
+  });
+  assert.strictEqual(tracer.spans.length, 0);
+});
+
+test('enriches an active span without ending it', () => {
+  const active = createSpan('GET');
+  const tracer = createTracer(active);
+  const req = createRequest({ path: '/users/42' });
+
+  handle(createExpressMiddleware(tracer, { addBusinessContext: true }), req, { route: '/users/:id', statusCode: 500 });
+
+  assert.strictEqual(tracer.spans.length, 0);
+  assert.strictEqual(req.span, active);
+  assert.strictEqual(active.name, 'GET /users/:id');
+  assert.strictEqual(active.attributes['business.endpoint'], 'GET /users/:id');
+  // The instrumentation owning the span sets its status and ends it
+  assert.strictEqual(active.status, null);
+  assert.strictEqual(active.ended, false);
+});
+
+test('starts no span without autoTrace', () => {
+  const tracer = createTracer();
+  const req = createRequest({ path: '/users' });
+
+  const { nextCalls } = handle(createExpressMiddleware(tracer, { autoTrace: false }), req);
+
+  assert.strictEqual(nextCalls, 1);
+  assert.strictEqual(tracer.spans.length, 0);
+  assert.strictEqual(req.span, undefined);
+});
+
+test('maps errors to HTTP statuses', () => {
+  assert.strictEqual(getErrorStatusCode(Object.assign(new Error('Not found'), { status: 404 })), 404);
+  assert.strictEqual(getErrorStatusCode(Object.assign(new Error('Conflict'), { statusCode: '409' })), 409);
+  assert.strictEqual(getErrorStatusCode(Object.assign(new Error('Redirect'), { status: 302 })), 500);
+  assert.strictEqual(getErrorStatusCode(new Error('Boom')), 500);
+  assert.strictEqual(getErrorStatusCode(undefined), 500);
+});
+
+test('records the error and responds with a JSON body carrying the trace id', () => {
+  const span = createSpan('GET /orders/:id');
+  const req = createRequest({ path: '/orders/7', span, route: { path: '/orders/:id' } });
+  const res = createResponse();
+  const error = Object.assign(new Error('Order 7 not found'), { status: 404 });
+
+  createErrorMiddleware(createTracer(), { respond: true, logErrors: false })(error, req, res, () => {
+    assert.fail('next must not be called when responding');
+  });
+
+  assert.strictEqual(res.statusCode, 404);
+  assert.strictEqual(res.body.error, 'Order 7 not found');
+  assert.strictEqual(res.body.status, 404);
+  assert.strictEqual(res.body.trace_id, TRACE_ID);
+  assert.deepStrictEqual(span.exceptions, [error]);
+  assert.strictEqual(span.attributes.error, true);
+  assert.strictEqual(span.attributes['http.status_code'], 404);
+  assert.strictEqual(span.status.code, SpanStatusCode.ERROR);
+});
+
+test('hides server error messages from the response body', () => {
+  const req = createRequest({ path: '/checkout', span: createSpan('POST /checkout') });
+  const res = createResponse();
+
+  createErrorMiddleware(createTracer(), { respond: true, logErrors: false })(new Error('password rejected by db'), req, res);
+
+  assert.strictEqual(res.statusCode, 500);
+  assert.strictEqual(res.body.error, 'Internal server error');
+});
+
+test('passes the error on when not responding or when headers were sent', () => {
+  const error = new Error('Boom');
+  const forwarded = [];
+  const res = createResponse();
+
+  createErrorMiddleware(createTracer(), { logErrors: false })(error, createRequest(), res, err => forwarded.push(err));
+  res.headersSent = true;
+  createErrorMiddleware(createTracer(), { respond: true, logErrors: false })(error, createRequest(), res, err => forwarded.push(err));
+
+  assert.deepStrictEqual(forwarded, [error, error]);
+  assert.strictEqual(res.body, undefined);
+});
+
+test('uses formatError for the response body', () => {
+  const res = createResponse();
+  const middleware = createErrorMiddleware(createTracer(createSpan('GET /')), {
+    respond: true,
+    logErrors: false,
+    formatError: (error, { statusCode, traceId }) => ({ message: error.message, code: statusCode, traceId })
+  });
+
+  middleware(Object.assign(new Error('Bad input'), { status: 400 }), createRequest(), res);
+
+  assert.deepStrictEqual(res.body, { message: 'Bad input', code: 400, traceId: TRACE_ID });
+});
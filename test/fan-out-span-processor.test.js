@@ -0,0 +1,84 @@
+// test/fan-out-span-processor.test.js - Span Fan-Out and Per-Destination Attribute Filters
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { BasicTracerProvider, InMemorySpanExporter, SimpleSpanProcessor } = require('@opentelemetry/sdk-trace-base');
+const { FanOutSpanProcessor } = require('../src/processors/fan-out-span-processor.js');
+const { AttributeFilterExporter } = require('../src/exporters/attribute-filter-exporter.js');
+const { configureLogger } = require('../src/utils/logger.js');
+
+configureLogger({ logLevel: 'silent' });
+
+/**
+ * Create a destination processor that always fails
+ * @returns {Object} SpanProcessor throwing from onStart/onEnd and rejecting flush and shutdown
+ */
+function createFailingProcessor() {
+  const fail = () => { throw new Error('destination down'); };
+  return {
+    onStart: fail,
+    onEnd: fail,
+    forceFlush: () => Promise.reject(new Error('destination down')),
+    shutdown: () => Promise.reject(new Error('destination down'))
+  };
+}
+
+test('hands every span to each destination even when one fails', async () => {
+  const dynatrace = new InMemorySpanExporter();
+  const collector = new InMemorySpanExporter();
+  const fanOut = new FanOutSpanProcessor([
+    { name: 'dynatrace', processor: new SimpleSpanProcessor(dynatrace) },
+    { name: 'broken', processor: createFailingProcessor() },
+    { name: 'collector', processor: new SimpleSpanProcessor(collector) }
+  ]);
+  const tracer = new BasicTracerProvider({ spanProcessors: [fanOut] }).getTracer('test');
+
+  tracer.startSpan('first').end();
+  tracer.startSpan('second').end();
+
+  await fanOut.forceFlush();
+  assert.deepStrictEqual(dynatrace.getFinishedSpans().map(span => span.name), ['first', 'second']);
+  assert.deepStrictEqual(collector.getFinishedSpans().map(span => span.name), ['first', 'second']);
+
+  // InMemorySpanExporter clears its spans on shutdown, which still reaches the collector
+  await fanOut.shutdown();
+  assert.deepStrictEqual(collector.getFinishedSpans(), []);
+});
+
+test('filters attributes per destination without changing the shared span', () => {
+  const unfiltered = new InMemorySpanExporter();
+  const excluding = new InMemorySpanExporter();
+  const including = new InMemorySpanExporter();
+  const fanOut = new FanOutSpanProcessor([
+    { name: 'dynatrace', processor: new SimpleSpanProcessor(unfiltered) },
+    {
+      name: 'collector',
+      processor: new SimpleSpanProcessor(new AttributeFilterExporter(excluding, { exclude: ['enduser.*', /^http\.user_agent$/] }))
+    },
+    {
+      name: 'console',
+      processor: new SimpleSpanProcessor(new AttributeFilterExporter(including, { include: ['http.*'], exclude: ['http.user_agent'] }))
+    }
+  ]);
+  const tracer = new BasicTracerProvider({ spanProcessors: [fanOut] }).getTracer('test');
+
+  const span = tracer.startSpan('GET /orders');
+  span.setAttributes({
+    'http.method': 'GET',
+    'http.user_agent': 'curl/8.0',
+    'enduser.id': 'u-42',
+    'business.tenant_id': 'acme'
+  });
+  span.end();
+
+  const [shared] = unfiltered.getFinishedSpans();
+  const [withoutUser] = excluding.getFinishedSpans();
+  const [httpOnly] = including.getFinishedSpans();
+
+  assert.deepStrictEqual(Object.keys(shared.attributes).sort(), ['business.tenant_id', 'enduser.id', 'http.method', 'http.user_agent']);
+  assert.deepStrictEqual(withoutUser.attributes, { 'http.method': 'GET', 'business.tenant_id': 'acme' });
+  assert.deepStrictEqual(httpOnly.attributes, { 'http.method': 'GET' });
+  // The filtered views keep everything else of the span
+  assert.strictEqual(httpOnly.name, 'GET /orders');
+  assert.deepStrictEqual(httpOnly.spanContext(), shared.spanContext());
+});
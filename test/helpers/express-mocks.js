@@ -0,0 +1,118 @@
+// test/helpers/express-mocks.js - Minimal Express Request, Response and Tracer Stand-Ins
+
+const { EventEmitter } = require('events');
+
+const TRACE_ID = '0af7651916cd43dd8448eb211c80319c';
+
+/**
+ * Create a span recording what the middleware does with it
+ * @param {string} name - Span name
+ * @returns {Object} Span with name, attributes, status, exceptions and ended
+ */
+function createSpan(name) {
+  return {
+    name,
+    attributes: {},
+    status: null,
+    exceptions: [],
+    ended: false,
+    setAttribute(key, value) {
+      this.attributes[key] = value;
+      return this;
+    },
+    updateName(newName) {
+      this.name = newName;
+      return this;
+    },
+    setStatus(status) {
+      this.status = status;
+      return this;
+    },
+    recordException(error) {
+      this.exceptions.push(error);
+    },
+    spanContext() {
+      return { traceId: TRACE_ID, spanId: 'b7ad6b7169203331', traceFlags: 1 };
+    }
+  };
+}
+
+/**
+ * Create a tracer facade stand-in
+ * @param {Object} activeSpan - Span returned by getCurrentSpan (default: none)
+ * @returns {Object} Tracer with the started spans in spans
+ */
+function createTracer(activeSpan = null) {
+  return {
+    spans: [],
+    getCurrentSpan: () => activeSpan,
+    startSpan(name, options = {}) {
+      const span = Object.assign(createSpan(name), { kind: options.kind });
+      this.spans.push(span);
+      return span;
+    },
+    addHttpContext() {},
+    endSpan(span) {
+      span.ended = true;
+    }
+  };
+}
+
+/**
+ * Create an Express request stand-in
+ * @param {Object} overrides - Request properties (method, path, headers, params, ...)
+ * @returns {Object} Request
+ */
+function createRequest(overrides = {}) {
+  const { path = '/', headers = {}, ...properties } = overrides;
+  return {
+    method: 'GET',
+    path,
+    originalUrl: path,
+    baseUrl: '',
+    headers,
+    params: {},
+    query: {},
+    get(name) {
+      return this.headers[name.toLowerCase()];
+    },
+    ...properties
+  };
+}
+
+/**
+ * Create an Express response stand-in; json() ends the response
+ * @returns {EventEmitter} Response with statusCode, body and locals
+ */
+function createResponse() {
+  const res = new EventEmitter();
+  Object.assign(res, {
+    statusCode: 200,
+    headersSent: false,
+    locals: {},
+    body: undefined,
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    json(body) {
+      res.body = body;
+      res.finish();
+      return res;
+    },
+    finish() {
+      res.headersSent = true;
+      res.emit('finish');
+    }
+  });
+  return res;
+}
+
+// CommonJS exports
+module.exports = {
+  TRACE_ID,
+  createSpan,
+  createTracer,
+  createRequest,
+  createResponse
+};
@@ -0,0 +1,48 @@
+// test/log-tracer.test.js - Log Correlation and OTLP Log Forwarding
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { logs } = require('@opentelemetry/api-logs');
+const { createPinoOptions } = require('../src/helpers/log-tracer.js');
+const { createTracer } = require('../src/index.js');
+
+// Registered first, so it stays the global provider
+const emitted = [];
+logs.setGlobalLoggerProvider({ getLogger: () => ({ emit: record => emitted.push(record) }) });
+
+/**
+ * Log through pino's logMethod hook at each level
+ * @param {Object} options - pino options from createPinoOptions
+ * @returns {Array<string>} Severity texts forwarded as OTLP logs
+ */
+function forwardedLevels(options) {
+  emitted.length = 0;
+  [20, 30, 40, 50].forEach(level => options.hooks.logMethod(['message'], () => {}, level));
+  return emitted.map(record => record.severityText);
+}
+
+test('forwards records at or above logLevel', () => {
+  assert.deepStrictEqual(forwardedLevels(createPinoOptions({ logLevel: 'warn' })), ['WARN', 'ERROR']);
+  assert.deepStrictEqual(forwardedLevels(createPinoOptions({})), ['INFO', 'WARN', 'ERROR']);
+});
+
+test('follows logLevel changes made through updateConfig', async () => {
+  const tracer = createTracer({
+    serviceName: 'log-tracer-test',
+    dtApiUrl: 'http://127.0.0.1:9/otlp',
+    logLevel: 'info',
+    logSink: () => {},
+    logs: { enabled: false },
+    metrics: { enabled: false }
+  });
+
+  try {
+    const options = tracer.createPinoOptions();
+    assert.deepStrictEqual(forwardedLevels(options), ['INFO', 'WARN', 'ERROR']);
+
+    tracer.updateConfig({ logLevel: 'error' });
+    assert.deepStrictEqual(forwardedLevels(options), ['ERROR']);
+  } finally {
+    await tracer.shutdown();
+  }
+});
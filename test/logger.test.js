@@ -0,0 +1,60 @@
+// test/logger.test.js - Internal Logger Redaction and Configuration
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createLogger, configureLogger, redact } = require('../src/utils/logger.js');
+const { OtelDynatrace } = require('../src/index.js');
+
+test('redacts exact secret field names only', () => {
+  assert.deepStrictEqual(redact({
+    dtApiToken: 'abc',
+    Authorization: 'Api-Token abc',
+    headers: { 'x-api-key': 'abc', 'content-type': 'application/json' },
+    tokenRefreshIntervalMs: 300000,
+    summary: { dtApiToken: 'configured' }
+  }), {
+    dtApiToken: '[REDACTED]',
+    Authorization: '[REDACTED]',
+    headers: { 'x-api-key': '[REDACTED]', 'content-type': 'application/json' },
+    tokenRefreshIntervalMs: 300000,
+    summary: { dtApiToken: 'configured' }
+  });
+});
+
+test('redacts token formats inside messages and values', () => {
+  const records = [];
+  configureLogger({ logLevel: 'info', logSink: record => records.push(record) });
+  createLogger('test').info('Sending with Api-Token secret123', { url: 'https://x/?t=dt0c01.ABC.DEF' });
+  configureLogger({ logLevel: 'silent', logSink: null });
+
+  assert.strictEqual(records[0].message, 'Sending with Api-Token [REDACTED]');
+  assert.strictEqual(records[0].url, 'https://x/?t=[REDACTED]');
+});
+
+test('routes configuration warnings through the configured sink', async () => {
+  const records = [];
+  const otel = new OtelDynatrace({
+    serviceName: 'logger-test',
+    dtApiUrl: 'http://127.0.0.1:9/otlp',
+    dtApiToken: 'not-a-dynatrace-token',
+    logLevel: 'warn',
+    logSink: record => records.push(record)
+  });
+
+  try {
+    assert.ok(records.some(record => record.message === 'Configuration warnings'));
+  } finally {
+    await otel.shutdown();
+    configureLogger({ logLevel: 'silent', logSink: null });
+  }
+});
+
+test('redacts the configured API token in any format', () => {
+  const records = [];
+  configureLogger({ logLevel: 'info', logSink: record => records.push(record), dtApiToken: 'custom-gateway-key-1234' });
+  createLogger('test').info('Rejected custom-gateway-key-1234', { header: 'Bearer-less custom-gateway-key-1234' });
+  configureLogger({ logLevel: 'silent', logSink: null });
+
+  assert.strictEqual(records[0].message, 'Rejected [REDACTED]');
+  assert.strictEqual(records[0].header, 'Bearer-less [REDACTED]');
+});
@@ -0,0 +1,97 @@
+// test/otel-environment.test.js - Standard OpenTelemetry Environment Variables
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { fromOtelEnvironment } = require('../src/configs/otel-environment.js');
+const { createConfig } = require('../src/configs/dynatrace-config.js');
+const { configureLogger } = require('../src/utils/logger.js');
+
+configureLogger({ logLevel: 'silent' });
+
+/**
+ * Run a function with extra process environment variables
+ * @param {Object} variables - Variables to set
+ * @param {Function} run - Function to run
+ * @returns {*} Result of run
+ */
+function withEnvironment(variables, run) {
+  const previous = Object.fromEntries(Object.keys(variables).map(name => [name, process.env[name]]));
+  Object.assign(process.env, variables);
+  try {
+    return run();
+  } finally {
+    Object.entries(previous).forEach(([name, value]) => {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    });
+  }
+}
+
+test('maps the standard variables and records their names', () => {
+  const variables = {};
+  const config = fromOtelEnvironment({
+    OTEL_SERVICE_NAME: 'checkout',
+    OTEL_RESOURCE_ATTRIBUTES: 'service.name=ignored,service.version=1.2.3,team=payments%20core',
+    OTEL_EXPORTER_OTLP_ENDPOINT: 'http://collector:4318/',
+    OTEL_EXPORTER_OTLP_HEADERS: 'x-tenant=abc',
+    OTEL_EXPORTER_OTLP_PROTOCOL: 'HTTP/JSON',
+    OTEL_EXPORTER_OTLP_COMPRESSION: 'gzip',
+    OTEL_TRACES_SAMPLER: 'parentbased_traceidratio',
+    OTEL_TRACES_SAMPLER_ARG: '0.25',
+    OTEL_BSP_MAX_QUEUE_SIZE: '4096',
+    OTEL_ATTRIBUTE_COUNT_LIMIT: '64',
+    OTEL_SDK_DISABLED: 'TRUE'
+  }, variables);
+
+  assert.deepStrictEqual(config, {
+    serviceName: 'checkout',
+    serviceVersion: '1.2.3',
+    customAttributes: { team: 'payments core' },
+    enabled: false,
+    dtApiUrl: 'http://collector:4318',
+    exportHeaders: { 'x-tenant': 'abc' },
+    protocol: 'http/json',
+    compression: 'gzip',
+    samplingRate: 0.25,
+    maxQueueSize: 4096,
+    spanLimits: { attributeCountLimit: 64 }
+  });
+  assert.strictEqual(variables.serviceName, 'OTEL_SERVICE_NAME');
+  assert.strictEqual(variables.samplingRate, 'OTEL_TRACES_SAMPLER');
+  assert.strictEqual(variables['spanLimits.attributeCountLimit'], 'OTEL_ATTRIBUTE_COUNT_LIMIT');
+});
+
+test('maps OTEL_LOG_LEVEL case-insensitively', () => {
+  const levels = { INFO: 'info', Warn: 'warn', none: 'silent', VERBOSE: 'debug', all: 'debug' };
+
+  Object.entries(levels).forEach(([value, logLevel]) => {
+    assert.deepStrictEqual(fromOtelEnvironment({ OTEL_LOG_LEVEL: value }), { logLevel });
+  });
+});
+
+test('ignores invalid values instead of passing them on', () => {
+  assert.deepStrictEqual(fromOtelEnvironment({
+    OTEL_LOG_LEVEL: 'chatty',
+    OTEL_EXPORTER_OTLP_PROTOCOL: 'grpc',
+    OTEL_EXPORTER_OTLP_COMPRESSION: 'brotli',
+    OTEL_TRACES_SAMPLER: 'traceidratio',
+    OTEL_TRACES_SAMPLER_ARG: '1.5',
+    OTEL_BSP_SCHEDULE_DELAY: '0',
+    OTEL_BSP_EXPORT_TIMEOUT: '-1',
+    OTEL_BSP_MAX_EXPORT_BATCH_SIZE: 'many',
+    OTEL_ATTRIBUTE_VALUE_LENGTH_LIMIT: ''
+  }), { samplingRate: 1.0 });
+});
+
+test('creates a valid configuration from spec values the schema would reject', () => {
+  const config = withEnvironment({ OTEL_LOG_LEVEL: 'INFO', OTEL_BSP_SCHEDULE_DELAY: '0' }, () => createConfig({
+    serviceName: 'checkout',
+    dtApiUrl: 'http://localhost:4318'
+  }));
+
+  assert.strictEqual(config.logLevel, 'info');
+  assert.ok(config.scheduledDelayMs > 0);
+});
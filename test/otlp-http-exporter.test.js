@@ -0,0 +1,94 @@
+// test/otlp-http-exporter.test.js - OTLP/HTTP Protocol and Compression against a Local Receiver
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const zlib = require('zlib');
+const { BasicTracerProvider } = require('@opentelemetry/sdk-trace-base');
+const { OtlpHttpExporter, EXPORT_SUCCESS } = require('../src/exporters/otlp-http-exporter.js');
+
+/**
+ * Start an OTLP receiver stand-in recording every request
+ * @param {Object} t - Test context
+ * @returns {Promise<Object>} { url, requests } with { headers, body } per request
+ */
+async function startReceiver(t) {
+  const receiver = { requests: [] };
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      receiver.requests.push({ headers: req.headers, body: Buffer.concat(chunks) });
+      res.writeHead(200).end();
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => {
+    server.closeAllConnections();
+    return new Promise(resolve => server.close(resolve));
+  });
+  receiver.url = `http://127.0.0.1:${server.address().port}/v1/traces`;
+  return receiver;
+}
+
+/**
+ * Export finished spans through an exporter
+ * @param {Object} t - Test context
+ * @param {Object} options - OtlpHttpExporter options
+ * @returns {Promise<Object>} { exporter, spans, result }
+ */
+async function exportSpans(t, options) {
+  const exporter = new OtlpHttpExporter({ signal: 'traces', ...options });
+  t.after(() => exporter.shutdown());
+
+  const span = new BasicTracerProvider().getTracer('test').startSpan('GET /orders');
+  span.end();
+  const result = await new Promise(resolve => exporter.export([span], resolve));
+  return { exporter, spans: [span], result };
+}
+
+test('sends uncompressed protobuf by default', async (t) => {
+  const receiver = await startReceiver(t);
+  const { exporter, spans, result } = await exportSpans(t, { url: receiver.url, headers: { Authorization: 'Api-Token x' } });
+
+  assert.strictEqual(result.code, EXPORT_SUCCESS);
+  const [{ headers, body }] = receiver.requests;
+  assert.strictEqual(headers['content-type'], 'application/x-protobuf');
+  assert.strictEqual(headers['content-encoding'], undefined);
+  assert.strictEqual(headers.authorization, 'Api-Token x');
+  assert.match(headers['user-agent'], /^otel-dynatrace-nodejs\//);
+  assert.deepStrictEqual(body, Buffer.from(exporter.serialize(spans)));
+});
+
+test('gzips the request body with compression gzip', async (t) => {
+  const receiver = await startReceiver(t);
+  const { exporter, spans } = await exportSpans(t, { url: receiver.url, compression: 'gzip' });
+
+  const [{ headers, body }] = receiver.requests;
+  assert.strictEqual(headers['content-type'], 'application/x-protobuf');
+  assert.strictEqual(headers['content-encoding'], 'gzip');
+  assert.deepStrictEqual(zlib.gunzipSync(body), Buffer.from(exporter.serialize(spans)));
+});
+
+test('sends OTLP JSON with protocol http/json', async (t) => {
+  const receiver = await startReceiver(t);
+  const { exporter } = await exportSpans(t, { url: receiver.url, protocol: 'http/json', compression: 'gzip' });
+
+  const [{ headers, body }] = receiver.requests;
+  const request = JSON.parse(zlib.gunzipSync(body));
+  assert.strictEqual(exporter.contentType, 'application/json');
+  assert.strictEqual(headers['content-type'], 'application/json');
+  assert.strictEqual(request.resourceSpans[0].scopeSpans[0].spans[0].name, 'GET /orders');
+});
+
+test('rejects unknown protocols and signals', () => {
+  assert.throws(
+    () => new OtlpHttpExporter({ signal: 'traces', url: 'http://127.0.0.1:4318/v1/traces', protocol: 'grpc' }),
+    /Unsupported OTLP protocol: grpc/
+  );
+  assert.throws(
+    () => new OtlpHttpExporter({ signal: 'profiles', url: 'http://127.0.0.1:4318/v1/profiles' }),
+    /Unknown OTLP signal: profiles/
+  );
+});
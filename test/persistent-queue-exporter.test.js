@@ -0,0 +1,193 @@
+// test/persistent-queue-exporter.test.js - Disk Queue Spill and Replay against a Local OTLP Receiver
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { BasicTracerProvider } = require('@opentelemetry/sdk-trace-base');
+const { DiskQueue, PersistentQueueExporter, openDiskQueue } = require('../src/exporters/persistent-queue-exporter.js');
+const { RetryingExporter } = require('../src/exporters/retrying-exporter.js');
+const { OtlpHttpExporter, EXPORT_SUCCESS } = require('../src/exporters/otlp-http-exporter.js');
+const { ExportStats } = require('../src/utils/export-stats.js');
+const { configureLogger } = require('../src/utils/logger.js');
+
+configureLogger({ logLevel: 'silent' });
+
+const QUEUE_LIMITS = { maxSizeBytes: 1048576, maxAgeMs: 60000 };
+
+/**
+ * Start an OTLP receiver stand-in that throttles until recover() is called
+ * @param {boolean} throttled - Start throttling (default: true)
+ * @returns {Promise<Object>} { url, bodies, contentTypes, recover, close } for the accepted requests
+ */
+async function startReceiver(throttled = true) {
+  const receiver = { bodies: [], contentTypes: [], throttled };
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      if (receiver.throttled) {
+        res.writeHead(429).end();
+        return;
+      }
+      receiver.bodies.push(Buffer.concat(chunks));
+      receiver.contentTypes.push(req.headers['content-type']);
+      res.writeHead(200).end();
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  receiver.url = `http://127.0.0.1:${server.address().port}/v1/traces`;
+  receiver.recover = () => { receiver.throttled = false; };
+  receiver.close = () => {
+    server.closeAllConnections();
+    return new Promise(resolve => server.close(resolve));
+  };
+  return receiver;
+}
+
+/**
+ * Create finished spans
+ * @param {Array<string>} names - Span names
+ * @returns {Array<ReadableSpan>} Spans
+ */
+function createSpans(names) {
+  const tracer = new BasicTracerProvider().getTracer('test');
+  return names.map(name => {
+    const span = tracer.startSpan(name);
+    span.end();
+    return span;
+  });
+}
+
+/**
+ * Resolve once check() returns true
+ * @param {Function} check - Condition
+ * @param {number} timeoutMs - Give up after this many milliseconds
+ * @returns {Promise<void>}
+ */
+async function waitFor(check, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!check()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for the condition');
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+test('queues batches while throttled and replays them in order after recovery', async (t) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'odn-queue-test-'));
+  const receiver = await startReceiver();
+  t.after(async () => {
+    await receiver.close();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  const stats = new ExportStats();
+  const transport = new OtlpHttpExporter({ signal: 'traces', url: receiver.url });
+  const exporter = new PersistentQueueExporter(new RetryingExporter(transport, {
+    signal: 'traces',
+    url: receiver.url,
+    retryConfig: { enabled: false },
+    deadlineMs: 5000,
+    stats
+  }), {
+    signal: 'traces',
+    transport,
+    queue: new DiskQueue({ directory, ...QUEUE_LIMITS }),
+    replayIntervalMs: 50,
+    stats
+  });
+
+  const batches = [createSpans(['first', 'second']), createSpans(['third'])];
+  for (const batch of batches) {
+    const result = await new Promise(resolve => exporter.export(batch, resolve));
+    assert.strictEqual(result.code, EXPORT_SUCCESS);
+  }
+
+  // Spilled batches are not failed exports
+  let counters = stats.snapshot().traces;
+  assert.strictEqual(counters.batchesFailed, 0);
+  assert.strictEqual(counters.itemsFailed, 0);
+  assert.strictEqual(counters.lastError, null);
+  assert.deepStrictEqual(
+    [counters.queue.batchesQueued, counters.queue.itemsQueued, counters.queue.depth],
+    [2, 3, 2]
+  );
+
+  receiver.recover();
+  await waitFor(() => stats.snapshot().traces.queue.depth === 0);
+
+  counters = stats.snapshot().traces;
+  assert.deepStrictEqual([counters.queue.batchesReplayed, counters.queue.itemsReplayed], [2, 3]);
+  assert.deepStrictEqual(receiver.bodies, batches.map(batch => Buffer.from(transport.serialize(batch))));
+  assert.deepStrictEqual(fs.readdirSync(directory).filter(file => file !== '.lock'), []);
+
+  await exporter.shutdown();
+  assert.deepStrictEqual(fs.readdirSync(directory), []);
+});
+
+test('gives each process its own queue directory', (t) => {
+  const directory = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'odn-queue-test-')), 'traces');
+  t.after(() => fs.rmSync(path.dirname(directory), { recursive: true, force: true }));
+
+  const first = openDiskQueue({ directory, ...QUEUE_LIMITS });
+  assert.throws(() => new DiskQueue({ directory, ...QUEUE_LIMITS }), { code: 'ELOCKED' });
+
+  const second = openDiskQueue({ directory, ...QUEUE_LIMITS });
+  assert.strictEqual(fs.readFileSync(`${directory}.1/.lock`, 'utf8'), String(process.pid));
+
+  first.close();
+  second.close();
+  assert.ok(!fs.existsSync(path.join(directory, '.lock')));
+
+  // A lock left by a process that is gone is taken over
+  fs.writeFileSync(path.join(directory, '.lock'), '999999999');
+  openDiskQueue({ directory, ...QUEUE_LIMITS }).close();
+});
+
+test('removes partial batch files left by an interrupted write', (t) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'odn-queue-test-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  fs.writeFileSync(path.join(directory, '000001700000000-000000000-2.pb'), Buffer.alloc(10));
+  fs.writeFileSync(path.join(directory, '000001700000001-000000001-5.pb.tmp'), Buffer.alloc(100));
+
+  const queue = new DiskQueue({ directory, ...QUEUE_LIMITS });
+  t.after(() => queue.close());
+
+  assert.deepStrictEqual([queue.length, queue.bytes], [1, 10]);
+  assert.deepStrictEqual(fs.readdirSync(directory).sort(), ['.lock', '000001700000000-000000000-2.pb']);
+});
+
+test('replays batches with the Content-Type they were queued with', async (t) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'odn-queue-test-'));
+  const receiver = await startReceiver(false);
+  t.after(async () => {
+    await receiver.close();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  // Queued by an earlier run using http/json
+  const spans = createSpans(['queued']);
+  const jsonBody = new OtlpHttpExporter({ signal: 'traces', url: receiver.url, protocol: 'http/json' }).serialize(spans);
+  const queue = new DiskQueue({ directory, ...QUEUE_LIMITS });
+  await queue.push(jsonBody, 1, 'application/json');
+
+  const stats = new ExportStats();
+  const transport = new OtlpHttpExporter({ signal: 'traces', url: receiver.url, compression: 'gzip' });
+  const exporter = new PersistentQueueExporter(transport, {
+    signal: 'traces',
+    transport,
+    queue,
+    replayIntervalMs: 50,
+    stats
+  });
+  t.after(() => exporter.shutdown());
+
+  await waitFor(() => stats.snapshot().traces.queue.batchesReplayed === 1);
+  assert.deepStrictEqual(receiver.contentTypes, ['application/json']);
+  assert.deepStrictEqual(JSON.parse(zlib.gunzipSync(receiver.bodies[0])), JSON.parse(Buffer.from(jsonBody)));
+});
@@ -0,0 +1,125 @@
+// test/retrying-exporter.test.js - Export Retries against a Local OTLP Endpoint
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { RetryingExporter } = require('../src/exporters/retrying-exporter.js');
+const { OtlpHttpExporter, EXPORT_SUCCESS, EXPORT_FAILED } = require('../src/exporters/otlp-http-exporter.js');
+const { ExportStats } = require('../src/utils/export-stats.js');
+const { configureLogger } = require('../src/utils/logger.js');
+
+configureLogger({ logLevel: 'silent' });
+
+const RETRY_CONFIG = { enabled: true, initialDelayMillis: 10, maxDelayMillis: 50, maxAttempts: 3 };
+
+/**
+ * Start an OTLP endpoint stand-in answering each request with the next scripted response
+ * @param {Array<Object>} responses - { status, headers } per request; the last one repeats
+ *   ({ hang: true } never answers)
+ * @returns {Promise<Object>} { url, requests, close }
+ */
+async function startEndpoint(responses) {
+  const endpoint = { requests: 0 };
+  const server = http.createServer((req, res) => {
+    const response = responses[Math.min(endpoint.requests, responses.length - 1)];
+    endpoint.requests++;
+    req.resume();
+    if (response.hang) return;
+    res.writeHead(response.status, response.headers).end();
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  endpoint.url = `http://127.0.0.1:${server.address().port}/v1/traces`;
+  endpoint.close = () => {
+    server.closeAllConnections();
+    return new Promise(resolve => server.close(resolve));
+  };
+  return endpoint;
+}
+
+/**
+ * Export an empty span batch through RetryingExporter and OtlpHttpExporter
+ * @param {string} url - Endpoint
+ * @param {Object} options - { retryConfig, deadlineMs }
+ * @returns {Promise<Object>} { result, stats, elapsedMs }
+ */
+async function exportOnce(url, { retryConfig = RETRY_CONFIG, deadlineMs = 5000 } = {}) {
+  const stats = new ExportStats();
+  const exporter = new RetryingExporter(new OtlpHttpExporter({ signal: 'traces', url }), {
+    signal: 'traces',
+    url,
+    retryConfig,
+    deadlineMs,
+    stats
+  });
+
+  const startTime = Date.now();
+  const result = await new Promise(resolve => exporter.export([], resolve));
+  const elapsedMs = Date.now() - startTime;
+  await exporter.shutdown();
+  return { result, stats: stats.snapshot().traces, elapsedMs };
+}
+
+test('retries a 429 after the Retry-After delay', async () => {
+  const endpoint = await startEndpoint([
+    { status: 429, headers: { 'Retry-After': '1' } },
+    { status: 200 }
+  ]);
+
+  try {
+    const { result, stats, elapsedMs } = await exportOnce(endpoint.url);
+
+    assert.strictEqual(result.code, EXPORT_SUCCESS);
+    assert.strictEqual(endpoint.requests, 2);
+    assert.strictEqual(stats.retries, 1);
+    assert.ok(elapsedMs >= 1000, `retried after ${elapsedMs}ms`);
+  } finally {
+    await endpoint.close();
+  }
+});
+
+test('does not retry a 401', async () => {
+  const endpoint = await startEndpoint([{ status: 401 }, { status: 200 }]);
+
+  try {
+    const { result, stats } = await exportOnce(endpoint.url);
+
+    assert.strictEqual(result.code, EXPORT_FAILED);
+    assert.strictEqual(result.error.code, 401);
+    assert.strictEqual(endpoint.requests, 1);
+    assert.strictEqual(stats.retries, 0);
+    assert.strictEqual(stats.batchesFailed, 1);
+  } finally {
+    await endpoint.close();
+  }
+});
+
+test('stops after maxAttempts', async () => {
+  const endpoint = await startEndpoint([{ status: 503 }]);
+
+  try {
+    const { result, stats } = await exportOnce(endpoint.url);
+
+    assert.strictEqual(result.code, EXPORT_FAILED);
+    assert.strictEqual(result.error.code, 503);
+    assert.strictEqual(endpoint.requests, RETRY_CONFIG.maxAttempts);
+    assert.strictEqual(stats.retries, RETRY_CONFIG.maxAttempts - 1);
+  } finally {
+    await endpoint.close();
+  }
+});
+
+test('times an attempt out at the export deadline', async () => {
+  const endpoint = await startEndpoint([{ hang: true }]);
+
+  try {
+    const { result, elapsedMs } = await exportOnce(endpoint.url, { deadlineMs: 300 });
+
+    assert.strictEqual(result.code, EXPORT_FAILED);
+    assert.strictEqual(result.error.code, 'ETIMEDOUT');
+    assert.strictEqual(endpoint.requests, 1);
+    assert.ok(elapsedMs < 2000, `timed out after ${elapsedMs}ms`);
+  } finally {
+    await endpoint.close();
+  }
+});
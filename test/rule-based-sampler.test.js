@@ -0,0 +1,89 @@
+// test/rule-based-sampler.test.js - Ratio and Rule Based Head Sampling
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { ROOT_CONTEXT, SpanKind, TraceFlags, trace } = require('@opentelemetry/api');
+const { SamplingDecision } = require('@opentelemetry/sdk-trace-base');
+const { RuleBasedSampler, createSampler } = require('../src/sampling/rule-based-sampler.js');
+
+// TraceIdRatioBasedSampler keeps trace ids hashing below rate * 0xffffffff
+const LOW_TRACE_ID = '00000000000000000000000000000001';
+const HIGH_TRACE_ID = 'ffffffff000000000000000000000000';
+
+const RULES = [
+  { route: '/checkout', rate: 1.0 },
+  { route: '/health', rate: 0 },
+  { route: '/catalog/**', method: 'get', rate: 0.01 },
+  { spanName: /^cron\./, rate: 0 }
+];
+
+/**
+ * Sample a root server span
+ * @param {Sampler} sampler - Sampler under test
+ * @param {string} spanName - Span name
+ * @param {Object} attributes - Span start attributes
+ * @param {string} traceId - Trace id
+ * @returns {boolean} True if the span is sampled
+ */
+function sampled(sampler, spanName, attributes = {}, traceId = HIGH_TRACE_ID) {
+  const { decision } = sampler.shouldSample(ROOT_CONTEXT, traceId, spanName, SpanKind.SERVER, attributes, []);
+  return decision === SamplingDecision.RECORD_AND_SAMPLED;
+}
+
+test('applies the first matching route, method or span name rule', () => {
+  const sampler = new RuleBasedSampler({ samplingRate: 1.0, samplingRules: RULES });
+
+  assert.strictEqual(sampled(sampler, 'POST', { 'http.target': '/checkout?step=2' }), true);
+  assert.strictEqual(sampled(sampler, 'GET', { 'url.path': '/health' }), false);
+  assert.strictEqual(sampled(sampler, 'GET', { 'http.url': 'http://shop.local/health/' }), false);
+  assert.strictEqual(sampled(sampler, 'cron.cleanup'), false);
+  assert.strictEqual(sampled(sampler, 'GET', { 'http.target': '/catalog/shoes', 'http.method': 'GET' }, LOW_TRACE_ID), true);
+  assert.strictEqual(sampled(sampler, 'GET', { 'http.target': '/catalog/shoes', 'http.method': 'GET' }), false);
+  // Method mismatch falls through to samplingRate
+  assert.strictEqual(sampled(sampler, 'POST', { 'http.target': '/catalog/shoes', 'http.method': 'POST' }), true);
+});
+
+test('falls back to samplingRate', () => {
+  const sampler = new RuleBasedSampler({ samplingRate: 0.1, samplingRules: RULES });
+
+  assert.strictEqual(sampled(sampler, 'GET', { 'http.target': '/users' }, LOW_TRACE_ID), true);
+  assert.strictEqual(sampled(sampler, 'GET', { 'http.target': '/users' }), false);
+  assert.strictEqual(sampled(new RuleBasedSampler({ samplingRate: 0 }), 'GET', {}, LOW_TRACE_ID), false);
+  assert.strictEqual(sampler.getRate('GET', { 'http.target': '/users' }), 0.1);
+  assert.strictEqual(sampler.getRate('GET', { 'http.target': '/checkout' }), 1.0);
+});
+
+test('samples every root span with recordAll and keeps the rates for getRate', () => {
+  const sampler = new RuleBasedSampler({ samplingRate: 0, samplingRules: RULES, recordAll: true });
+
+  assert.strictEqual(sampled(sampler, 'GET', { 'http.target': '/health' }), true);
+  assert.strictEqual(sampled(sampler, 'GET', { 'http.target': '/users' }), true);
+  assert.strictEqual(sampler.getRate('GET', { 'http.target': '/health' }), 0);
+  assert.strictEqual(sampler.getRate('GET', { 'http.target': '/users' }), 0);
+});
+
+test('applies updated rules to spans started afterwards', () => {
+  const sampler = new RuleBasedSampler({ samplingRate: 1.0 });
+  assert.strictEqual(sampled(sampler, 'GET', { 'http.target': '/health' }), true);
+
+  sampler.update({ samplingRate: 1.0, samplingRules: [{ route: '/health', rate: 0 }] });
+
+  assert.strictEqual(sampled(sampler, 'GET', { 'http.target': '/health' }), false);
+  assert.strictEqual(String(sampler), 'RuleBasedSampler{samplingRate=1, rules=1, recordAll=false}');
+});
+
+test('child spans follow the parent decision instead of the rules', () => {
+  const sampler = createSampler(new RuleBasedSampler({ samplingRate: 1.0, samplingRules: RULES }));
+  const parent = traceFlags => trace.setSpanContext(ROOT_CONTEXT, {
+    traceId: HIGH_TRACE_ID,
+    spanId: 'b7ad6b7169203331',
+    traceFlags,
+    isRemote: true
+  });
+  const decide = (context, attributes) => sampler
+    .shouldSample(context, HIGH_TRACE_ID, 'GET', SpanKind.SERVER, attributes, []).decision;
+
+  assert.strictEqual(decide(parent(TraceFlags.SAMPLED), { 'http.target': '/health' }), SamplingDecision.RECORD_AND_SAMPLED);
+  assert.strictEqual(decide(parent(TraceFlags.NONE), { 'http.target': '/checkout' }), SamplingDecision.NOT_RECORD);
+  assert.strictEqual(decide(ROOT_CONTEXT, { 'http.target': '/health' }), SamplingDecision.NOT_RECORD);
+});
@@ -0,0 +1,103 @@
+// test/runtime-config.test.js - Runtime Configuration Updates
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { diffConfig, isRuntimeUpdatable, planConfigUpdate } = require('../src/configs/runtime-config.js');
+const { OtelDynatrace } = require('../src/index.js');
+
+/**
+ * Create an instance that is never started
+ * @param {Object} options - Extra options
+ * @returns {OtelDynatrace} Instance
+ */
+function createInstance(options = {}) {
+  return new OtelDynatrace({
+    serviceName: 'runtime-config-test',
+    dtApiUrl: 'http://127.0.0.1:9/otlp',
+    logSink: () => {},
+    metrics: { enabled: false },
+    logs: { enabled: false },
+    ...options
+  });
+}
+
+test('lists changed paths key by key for objects and as a whole for arrays', () => {
+  const current = { samplingRate: 1, instrumentations: { http: { ignoreIncomingPaths: ['/health'], enabled: true } } };
+  const next = { samplingRate: 0.5, instrumentations: { http: { ignoreIncomingPaths: ['/health', /^\/ready/], enabled: true } } };
+
+  assert.deepStrictEqual(diffConfig(current, next), ['samplingRate', 'instrumentations.http.ignoreIncomingPaths']);
+  assert.deepStrictEqual(diffConfig(next, { ...next, samplingRules: [{ route: /^\/a/, rate: 0 }] }), ['samplingRules']);
+  assert.deepStrictEqual(diffConfig({ rules: [/^\/a/] }, { rules: [/^\/a/] }), []);
+});
+
+test('only allows the runtime updatable paths', () => {
+  ['samplingRate', 'logLevel', 'tailSampling.latencyThresholdMs', 'instrumentations.pg.ignoreLayers']
+    .forEach(path => assert.strictEqual(isRuntimeUpdatable(path), true, path));
+  ['dtApiUrl', 'tailSampling.maxTraces', 'instrumentations.http.enabled', 'instrumentations.ignoreLayers']
+    .forEach(path => assert.strictEqual(isRuntimeUpdatable(path), false, path));
+});
+
+test('plans applied and restart-only changes without touching the current config', () => {
+  const current = { samplingRate: 1, dtApiUrl: 'https://a.example', tailSampling: { latencyThresholdMs: 2000, maxTraces: 10 } };
+  const next = { samplingRate: 0.1, dtApiUrl: 'https://b.example', tailSampling: { latencyThresholdMs: 500, maxTraces: 20 } };
+
+  const plan = planConfigUpdate(current, next);
+
+  assert.deepStrictEqual(plan.applied, ['samplingRate', 'tailSampling.latencyThresholdMs']);
+  assert.deepStrictEqual(plan.restartRequired, ['dtApiUrl', 'tailSampling.maxTraces']);
+  assert.deepStrictEqual(plan.config, {
+    samplingRate: 0.1,
+    dtApiUrl: 'https://a.example',
+    tailSampling: { latencyThresholdMs: 500, maxTraces: 10 }
+  });
+  assert.strictEqual(current.samplingRate, 1);
+  assert.strictEqual(current.tailSampling.latencyThresholdMs, 2000);
+});
+
+test('updateConfig applies runtime changes and reports the rest', (t) => {
+  const otel = createInstance();
+  t.after(() => otel.shutdown());
+
+  const result = otel.updateConfig({
+    samplingRate: 0.2,
+    logLevel: 'warn',
+    dtApiUrl: 'http://127.0.0.1:10/otlp',
+    instrumentations: { http: { ignoreIncomingPaths: ['/ready'] } },
+    tailSampling: { latencyThresholdMs: 100 }
+  });
+
+  assert.deepStrictEqual(result.applied.sort(), ['instrumentations.http.ignoreIncomingPaths', 'logLevel', 'samplingRate']);
+  assert.deepStrictEqual(result.restartRequired.sort(), ['dtApiUrl', 'tailSampling.latencyThresholdMs']);
+
+  const config = otel.getConfig();
+  assert.strictEqual(config.samplingRate, 0.2);
+  assert.strictEqual(config.logLevel, 'warn');
+  assert.deepStrictEqual(config.instrumentations.http.ignoreIncomingPaths, ['/ready']);
+  assert.strictEqual(config.dtApiUrl, 'http://127.0.0.1:9/otlp');
+
+  const { sources } = otel.getConfigSummary({ withSources: true });
+  assert.strictEqual(sources.samplingRate, 'runtime');
+  assert.strictEqual(sources.dtApiUrl, 'user');
+});
+
+test('applies tail sampling thresholds only when tail sampling runs', (t) => {
+  const otel = createInstance({ tailSampling: { enabled: true } });
+  t.after(() => otel.shutdown());
+
+  const result = otel.updateConfig({ tailSampling: { latencyThresholdMs: 100, maxTraces: 10 } });
+
+  assert.deepStrictEqual(result, { applied: ['tailSampling.latencyThresholdMs'], restartRequired: ['tailSampling.maxTraces'] });
+  assert.strictEqual(otel.getConfig().tailSampling.latencyThresholdMs, 100);
+});
+
+test('leaves the configuration unchanged when the update is invalid', (t) => {
+  const otel = createInstance({ samplingRate: 0.5 });
+  t.after(() => otel.shutdown());
+  const before = otel.getConfig();
+
+  assert.throws(() => otel.updateConfig({ samplingRate: 0.1, logLevel: 'chatty' }), /logLevel/);
+  assert.throws(() => otel.updateConfig({ samplingRate: 2 }), /samplingRate/);
+
+  assert.deepStrictEqual(otel.getConfig(), before);
+  assert.strictEqual(otel.getConfigSummary({ withSources: true }).sources.samplingRate, 'user');
+});
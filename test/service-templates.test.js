@@ -0,0 +1,23 @@
+// test/service-templates.test.js - Service Template Registration
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { registerServiceTemplate } = require('../src/configs/dynatrace-config.js');
+
+test('registers a template that only tweaks nested options', () => {
+  const description = registerServiceTemplate('bff', {
+    extends: 'web-api',
+    instrumentations: { http: { ignoreIncomingPaths: ['/bff/health'] } },
+    resourceDetectors: { container: { cgroupFile: '/host/proc/self/cgroup' } }
+  });
+
+  assert.deepStrictEqual(description.chain, ['web-api', 'bff']);
+  assert.deepStrictEqual(description.settings.instrumentations.http.ignoreIncomingPaths, ['/bff/health']);
+});
+
+test('rejects invalid template settings', () => {
+  assert.throws(
+    () => registerServiceTemplate('broken', { samplingRate: 2, samplingRules: [{ route: '/checkout' }] }),
+    { message: 'Invalid service template broken: samplingRate must be between 0 and 1, samplingRules[0].rate is required' }
+  );
+});
@@ -0,0 +1,152 @@
+// test/tail-sampling-processor.test.js - Tail-Based Sampling Span Processor
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { ROOT_CONTEXT, SpanStatusCode, trace } = require('@opentelemetry/api');
+const { BasicTracerProvider } = require('@opentelemetry/sdk-trace-base');
+const { TailSamplingSpanProcessor } = require('../src/processors/tail-sampling-processor.js');
+
+/**
+ * Create a downstream processor recording the names of the spans it receives
+ * @returns {Object} SpanProcessor with the received span names in ended
+ */
+function createDownstream() {
+  return {
+    ended: [],
+    onStart() {},
+    onEnd(span) {
+      this.ended.push(span.name);
+    },
+    forceFlush: () => Promise.resolve(),
+    shutdown: () => Promise.resolve()
+  };
+}
+
+/**
+ * Create a tail sampling processor and a tracer feeding it
+ * @param {Object} t - Test context
+ * @param {Object} options - TailSamplingSpanProcessor options
+ * @returns {Object} { tracer, downstream, processor, dropped }
+ */
+function setup(t, options) {
+  const downstream = createDownstream();
+  const result = { downstream, dropped: 0 };
+  result.processor = new TailSamplingSpanProcessor(downstream, {
+    onDrop: count => { result.dropped += count; },
+    ...options
+  });
+  result.tracer = new BasicTracerProvider({ spanProcessors: [result.processor] }).getTracer('test');
+  t.after(() => result.processor.shutdown());
+  return result;
+}
+
+/**
+ * Start a span as child of another span
+ * @param {Tracer} tracer - Tracer
+ * @param {string} name - Span name
+ * @param {Span} parent - Parent span
+ * @returns {Span} Child span
+ */
+function startChild(tracer, name, parent) {
+  return tracer.startSpan(name, {}, trace.setSpan(ROOT_CONTEXT, parent));
+}
+
+test('keeps traces containing an error and releases them when the root ends', (t) => {
+  const { tracer, downstream } = setup(t, { samplingRate: 0 });
+
+  const root = tracer.startSpan('GET /orders');
+  const query = startChild(tracer, 'db.query', root);
+  query.setAttribute('error', true);
+  query.end();
+  assert.deepStrictEqual(downstream.ended, []);
+
+  root.end();
+  assert.deepStrictEqual(downstream.ended, ['db.query', 'GET /orders']);
+
+  const failed = tracer.startSpan('POST /checkout');
+  failed.setStatus({ code: SpanStatusCode.ERROR });
+  failed.end();
+  assert.deepStrictEqual(downstream.ended.slice(2), ['POST /checkout']);
+});
+
+test('keeps traces whose root span exceeds the latency threshold', (t) => {
+  const { tracer, downstream } = setup(t, { samplingRate: 0, latencyThresholdMs: 1000 });
+
+  tracer.startSpan('GET /slow', { startTime: Date.now() - 3000 }).end();
+  tracer.startSpan('GET /fast').end();
+
+  assert.deepStrictEqual(downstream.ended, ['GET /slow']);
+});
+
+test('drops other traces, including spans ending after their root', (t) => {
+  const sampling = setup(t, { samplingRate: 0 });
+  const { tracer, downstream } = sampling;
+
+  const root = tracer.startSpan('GET /users');
+  const render = startChild(tracer, 'render', root);
+  startChild(tracer, 'template', root).end();
+  root.end();
+  assert.strictEqual(sampling.dropped, 2);
+
+  render.end();
+  assert.strictEqual(sampling.dropped, 3);
+  assert.deepStrictEqual(downstream.ended, []);
+});
+
+test('decides traces early when the span or trace buffers are full', (t) => {
+  const { tracer, downstream } = setup(t, { samplingRate: 1.0, maxSpansPerTrace: 2, maxTraces: 2 });
+
+  const root = tracer.startSpan('batch');
+  startChild(tracer, 'item-1', root).end();
+  assert.deepStrictEqual(downstream.ended, []);
+  startChild(tracer, 'item-2', root).end();
+  assert.deepStrictEqual(downstream.ended, ['item-1', 'item-2']);
+
+  // Spans of a decided trace follow its decision
+  root.end();
+  assert.deepStrictEqual(downstream.ended.slice(2), ['batch']);
+
+  downstream.ended.length = 0;
+  const oldest = tracer.startSpan('oldest');
+  startChild(tracer, 'oldest-child', oldest).end();
+  tracer.startSpan('second');
+  assert.deepStrictEqual(downstream.ended, []);
+
+  // A third buffered trace evicts the oldest one
+  tracer.startSpan('third');
+  assert.deepStrictEqual(downstream.ended, ['oldest-child']);
+});
+
+test('decides traces whose root never ends once they exceed maxTraceAgeMs', async (t) => {
+  const { tracer, downstream } = setup(t, { samplingRate: 1.0, maxTraceAgeMs: 50 });
+
+  const root = tracer.startSpan('long-poll');
+  startChild(tracer, 'tick', root).end();
+  await new Promise(resolve => setTimeout(resolve, 150));
+
+  assert.deepStrictEqual(downstream.ended, ['tick']);
+});
+
+test('samples the remaining traces per trace rate and follows updates', (t) => {
+  const { tracer, downstream, processor } = setup(t, {
+    samplingRate: 1.0,
+    getSamplingRate: span => (span.name === 'GET /health' ? 0 : undefined)
+  });
+
+  tracer.startSpan('GET /health').end();
+  tracer.startSpan('GET /users').end();
+  assert.deepStrictEqual(downstream.ended, ['GET /users']);
+
+  processor.update({ samplingRate: 0 });
+  tracer.startSpan('GET /users').end();
+  assert.deepStrictEqual(downstream.ended, ['GET /users']);
+});
+
+test('decides buffered traces on forceFlush', async (t) => {
+  const { tracer, downstream, processor } = setup(t, { samplingRate: 1.0 });
+
+  startChild(tracer, 'child', tracer.startSpan('root')).end();
+  await processor.forceFlush();
+
+  assert.deepStrictEqual(downstream.ended, ['child']);
+});
@@ -0,0 +1,83 @@
+// test/verify-connection.test.js - Connectivity Check per Span Destination
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { OtelDynatrace } = require('../src/index.js');
+
+/**
+ * Start an OTLP endpoint stand-in answering every request with one status
+ * @param {number} status - HTTP status
+ * @returns {Promise<Object>} { url, requests, close }
+ */
+async function startEndpoint(status) {
+  const endpoint = { requests: 0 };
+  const server = http.createServer((req, res) => {
+    endpoint.requests++;
+    req.resume();
+    req.on('end', () => res.writeHead(status).end());
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  endpoint.url = `http://127.0.0.1:${server.address().port}`;
+  endpoint.close = () => {
+    server.closeAllConnections();
+    return new Promise(resolve => server.close(resolve));
+  };
+  return endpoint;
+}
+
+/**
+ * Create an instance fanning spans out to the given OTLP endpoints
+ * @param {Object} endpoints - exporters entry name => endpoint URL
+ * @returns {OtelDynatrace} Instance (not started)
+ */
+function createInstance(endpoints) {
+  return new OtelDynatrace({
+    serviceName: 'verify-connection-test',
+    dtApiUrl: 'http://127.0.0.1:9/otlp',
+    logSink: () => {},
+    metrics: { enabled: false },
+    logs: { enabled: false },
+    exporters: Object.entries(endpoints).map(([name, endpoint]) => ({ type: 'otlp', name, endpoint }))
+  });
+}
+
+test('reports every destination and fails when one is unreachable', async (t) => {
+  const primary = await startEndpoint(200);
+  const secondary = await startEndpoint(503);
+  const otel = createInstance({ primary: primary.url, secondary: secondary.url });
+  t.after(async () => {
+    await otel.shutdown();
+    await Promise.all([primary.close(), secondary.close()]);
+  });
+
+  const report = await otel.verifyConnection({ timeoutMs: 2000 });
+
+  assert.strictEqual(report.ok, false);
+  assert.strictEqual(report.reason, 'server_error');
+  assert.strictEqual(report.httpStatus, 503);
+  assert.strictEqual(report.endpoint, `${secondary.url}/v1/traces`);
+  assert.deepStrictEqual(
+    report.targets.map(({ name, ok, reason }) => ({ name, ok, reason })),
+    [{ name: 'primary', ok: true, reason: 'ok' }, { name: 'secondary', ok: false, reason: 'server_error' }]
+  );
+  assert.deepStrictEqual([primary.requests, secondary.requests], [1, 1]);
+});
+
+test('succeeds when every destination accepts the probe', async (t) => {
+  const primary = await startEndpoint(200);
+  const secondary = await startEndpoint(200);
+  const otel = createInstance({ primary: primary.url, secondary: secondary.url });
+  t.after(async () => {
+    await otel.shutdown();
+    await Promise.all([primary.close(), secondary.close()]);
+  });
+
+  const report = await otel.verifyConnection({ timeoutMs: 2000 });
+
+  assert.strictEqual(report.ok, true);
+  assert.strictEqual(report.reason, 'ok');
+  assert.strictEqual(report.targets.length, 2);
+  assert.ok(report.targets.every(target => target.ok));
+});